@@ -0,0 +1,32 @@
+/**
+ * Provider HTTP (produção). Padrão: ViaCEP.
+ * urlTemplate usa {cep}, ex.: "https://viacep.com.br/ws/{cep}/json/"
+ */
+function createHttpCepProvider({ urlTemplate, timeoutMs = 5000 }) {
+  const template = urlTemplate || "https://viacep.com.br/ws/{cep}/json/";
+
+  return {
+    name: "http",
+    async lookup(cep) {
+      const res = await fetch(template.replace("{cep}", cep), {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (res.status === 404 || res.status === 400) return null;
+      if (!res.ok) throw new Error(`cep_http_${res.status}`);
+
+      const body = await res.json();
+      if (!body || body.erro) return null;
+
+      return {
+        cep,
+        logradouro: body.logradouro || null,
+        bairro: body.bairro || null,
+        cidade: body.localidade || body.cidade || null,
+        uf: body.uf ? String(body.uf).toUpperCase() : null,
+      };
+    },
+  };
+}
+
+module.exports = { createHttpCepProvider };
@@ -0,0 +1,41 @@
+const { createLocalCepProvider } = require("./local");
+const { createHttpCepProvider } = require("./http");
+
+/**
+ * Escolhe o provider de CEP pelo ambiente.
+ * CEP_PROVIDER=http | local (padrão: http)
+ *
+ * Todo provider expõe: lookup(cep8) -> Promise<{ cep, logradouro, bairro, cidade, uf } | null>
+ */
+function createCepProvider(env = process.env) {
+  const kind = String(env.CEP_PROVIDER || "http").toLowerCase();
+
+  if (kind === "http") {
+    return createHttpCepProvider({
+      urlTemplate: env.CEP_HTTP_URL,
+      timeoutMs: Number(env.CEP_HTTP_TIMEOUT_MS || 5000),
+    });
+  }
+
+  if (kind === "local") {
+    return createLocalCepProvider({ file: env.CEP_LOCAL_FILE });
+  }
+
+  throw new Error(`CEP_PROVIDER desconhecido: ${kind}`);
+}
+
+/**
+ * CEP normalizado para 8 dígitos ("01310-100" -> "01310100").
+ * Retorna { value } (null se vazio) ou { error }
+ */
+function normalizeCep(input) {
+  if (input == null || String(input).trim() === "") return { value: null };
+  const raw = String(input).trim();
+  const digits = raw.replace(/\D/g, "");
+  if (!/^\d{2}\.?\d{3}-?\d{3}$/.test(raw) || /^(\d)\1{7}$/.test(digits)) {
+    return { error: "CEP inválido (use 8 dígitos, ex.: 01310-100)" };
+  }
+  return { value: digits };
+}
+
+module.exports = { createCepProvider, normalizeCep };
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("../utils/csv");
+
+/**
+ * Provider local: lê um CSV (cep,logradouro,bairro,cidade,uf) uma vez e
+ * responde da memória. Útil offline/testes; arquivo ausente = nenhum CEP.
+ */
+function createLocalCepProvider({ file }) {
+  const filePath = path.resolve(file || path.join("data", "ceps.csv"));
+  let index = null;
+
+  function load() {
+    if (index) return index;
+    index = new Map();
+    if (!fs.existsSync(filePath)) {
+      console.warn(`[cep] arquivo local não encontrado: ${filePath}`);
+      return index;
+    }
+    for (const row of parseCsv(fs.readFileSync(filePath, "utf8"))) {
+      const cep = String(row.cep || "").replace(/\D/g, "");
+      if (cep.length !== 8) continue;
+      index.set(cep, {
+        cep,
+        logradouro: row.logradouro || null,
+        bairro: row.bairro || null,
+        cidade: row.cidade || null,
+        uf: row.uf ? String(row.uf).toUpperCase() : null,
+      });
+    }
+    return index;
+  }
+
+  return {
+    name: "local",
+    async lookup(cep) {
+      return load().get(cep) || null;
+    },
+  };
+}
+
+module.exports = { createLocalCepProvider };
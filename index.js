@@ -3,6 +3,20 @@ const express = require("express");
 const cors = require("cors");
 const mysql = require("mysql2/promise");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { createMailTransport } = require("./mail");
+const {
+  UF_SIGLAS,
+  normalizeUF,
+  cityKey,
+  parseCidadeUf,
+} = require("./utils/cidades");
+const { createCepProvider, normalizeCep } = require("./cep");
+const { schemaProblems } = require("./utils/migrator");
+const { parseCsv } = require("./utils/csv");
+const { FORMATOS_PLANILHA, createPlanilhaWriter } = require("./utils/planilha");
+const { etiquetaSvg, folhaEtiquetasSvg, qrPng } = require("./utils/etiqueta");
 
 const app = express();
 
@@ -40,6 +54,11 @@ const pool = mysql.createPool({
   queueLimit: 0,
   connectTimeout: 8000,
   enableKeepAlive: true,
+  // um relógio só: Dates do mysql2, NOW() e DATETIMEs gravados ficam em UTC
+  timezone: "Z",
+});
+pool.on("connection", (conn) => {
+  conn.query("SET time_zone = '+00:00'");
 });
 
 /** Utilitário de timeout para qualquer promise */
@@ -50,16 +69,55 @@ function withTimeout(promise, ms, label = "timeout") {
   ]);
 }
 
-/** Helpers de paginação */
-function parseLimitOffset(req, defLimit = 50, maxLimit = 200) {
+/**
+ * Helpers de paginação (+ ordenação opcional).
+ * sorting = { columns: { chave_da_query: "coluna SQL" }, defaultSort, defaultOrder }
+ * -> também devolve orderBy já validado contra a whitelist
+ */
+function parseLimitOffset(req, defLimit = 50, maxLimit = 200, sorting = null) {
   let limit = Number(req.query.limit ?? defLimit);
   let offset = Number(req.query.offset ?? 0);
   if (!Number.isInteger(limit) || limit <= 0) limit = defLimit;
   if (limit > maxLimit) limit = maxLimit;
   if (!Number.isInteger(offset) || offset < 0) offset = 0;
-  return { limit, offset };
+  if (!sorting) return { limit, offset };
+
+  const sortKey = String(req.query.sort || "");
+  const sort = Object.hasOwn(sorting.columns, sortKey)
+    ? sortKey
+    : sorting.defaultSort;
+  const orderRaw = String(req.query.order || "").toLowerCase();
+  const order =
+    orderRaw === "asc" || orderRaw === "desc"
+      ? orderRaw
+      : sorting.defaultOrder || "desc";
+  return {
+    limit,
+    offset,
+    sort,
+    order,
+    orderBy: `${sorting.columns[sort]} ${order.toUpperCase()}`,
+  };
+}
+
+/** Lê parâmetro de lista: "a,b" ou ?x=a&x=b */
+function queryList(value) {
+  if (value == null || value === "") return [];
+  const arr = Array.isArray(value) ? value : [value];
+  return arr
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
 }
 
+/** Rótulos dos códigos de status (inverso de normalizeStatusToCode) */
+const STATUS_LABELS = {
+  0: "ativo",
+  1: "atendimento",
+  2: "desativado",
+  3: "deletado",
+};
+
 /** Normaliza status vindo do front para código 0/1/2 */
 function normalizeStatusToCode(input) {
   const raw = String(input ?? "")
@@ -72,965 +130,7291 @@ function normalizeStatusToCode(input) {
   return 0;
 }
 
-/** Normaliza string: sem acento/caixa/espacos extras */
-function normalizeName(s = "") {
-  return String(s)
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
+/**
+ * Intervalo de troca de filtro (dias) vindo do front.
+ * undefined = não informado; null/"" = limpar (usa o padrão); senão inteiro 1..3650
+ */
+function parseIntervaloDias(input) {
+  if (typeof input === "undefined") return { provided: false, value: null };
+  if (input === null || String(input).trim() === "")
+    return { provided: true, value: null };
+  const n = Number(input);
+  if (!Number.isInteger(n) || n <= 0 || n > 3650) {
+    return {
+      provided: true,
+      error: "intervalo_troca_dias deve ser um inteiro entre 1 e 3650",
+    };
+  }
+  return { provided: true, value: n };
+}
+
+/** Data de hoje (YYYY-MM-DD) no fuso de operação */
+function todayISO(timeZone = process.env.APP_TZ || "America/Sao_Paulo") {
+  return new Date().toLocaleDateString("en-CA", { timeZone });
+}
+
+/** Offset do fuso em minutos num instante (São Paulo -> -180) */
+function tzOffsetMin(
+  timeZone = process.env.APP_TZ || "America/Sao_Paulo",
+  date = new Date()
+) {
+  let fmt = tzOffsetFormatos.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      timeZoneName: "longOffset",
+    });
+    tzOffsetFormatos.set(timeZone, fmt);
+  }
+  const name = fmt
+    .formatToParts(date)
+    .find((p) => p.type === "timeZoneName").value; // "GMT-03:00" | "GMT"
+  const m = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!m) return 0;
+  return (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+const tzOffsetFormatos = new Map();
+
+/** Início (00:00) de uma data YYYY-MM-DD no fuso de operação, como instante */
+function appMidnight(
+  dateISO,
+  timeZone = process.env.APP_TZ || "America/Sao_Paulo"
+) {
+  const utc = new Date(`${dateISO}T00:00:00Z`).getTime();
+  const guess = utc - tzOffsetMin(timeZone, new Date(utc)) * 60000;
+  // 2ª passada: acerta a hora se o offset mudou (horário de verão)
+  return new Date(utc - tzOffsetMin(timeZone, new Date(guess)) * 60000);
+}
+
+/**
+ * Mudanças de offset do fuso entre duas datas (YYYY-MM-DD), com folga de um
+ * dia: [{ desde, min }], a primeira com desde = null. Acha o minuto exato de
+ * cada mudança (horário de verão).
+ */
+function offsetFaixas(
+  de,
+  ate,
+  timeZone = process.env.APP_TZ || "America/Sao_Paulo"
+) {
+  const key = `${timeZone}|${de}|${ate}`;
+  if (offsetFaixasCache.has(key)) return offsetFaixasCache.get(key);
+
+  const DIA = 86400000;
+  const offset = (ms) => tzOffsetMin(timeZone, new Date(ms));
+  const fim = new Date(`${ate}T00:00:00Z`).getTime() + 2 * DIA;
+  let t = new Date(`${de}T00:00:00Z`).getTime() - DIA;
+  let atual = offset(t);
+  const faixas = [{ desde: null, min: atual }];
+  for (; t < fim; t += DIA) {
+    const prox = offset(t + DIA);
+    if (prox === atual) continue;
+    let lo = t;
+    let hi = t + DIA;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (offset(mid) === atual) lo = mid;
+      else hi = mid;
+    }
+    faixas.push({ desde: new Date(hi), min: prox });
+    atual = prox;
+  }
+
+  if (offsetFaixasCache.size >= 200) offsetFaixasCache.clear();
+  offsetFaixasCache.set(key, faixas);
+  return faixas;
+}
+const offsetFaixasCache = new Map();
+
+/**
+ * SQL que leva uma coluna DATETIME (UTC) para a hora local do fuso, com o
+ * offset do próprio instante. Sem depender das tabelas de fuso do MySQL
+ * (CONVERT_TZ com nome): as mudanças entre de e ate viram um CASE.
+ */
+function utcParaLocalSql(
+  col,
+  de,
+  ate,
+  timeZone = process.env.APP_TZ || "America/Sao_Paulo"
+) {
+  const [primeira, ...mudancas] = offsetFaixas(de, ate, timeZone);
+  const whens = mudancas
+    .reverse()
+    .map((f) => `WHEN ${col} >= '${utcSql(f.desde)}' THEN ${f.min}`)
+    .join(" ");
+  const min = whens
+    ? `CASE ${whens} ELSE ${primeira.min} END`
+    : String(primeira.min);
+  return `DATE_ADD(${col}, INTERVAL ${min} MINUTE)`;
+}
+
+/** Date -> "YYYY-MM-DD HH:MM:SS" em UTC */
+function utcSql(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/** true se for YYYY-MM-DD e uma data que existe no calendário */
+function isValidISODate(value) {
+  const str = String(value ?? "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const d = new Date(`${str}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === str;
+}
+
+// unidades aceitas para vazão (chave normalizada -> forma gravada)
+const VAZAO_UNIDADES = {
+  "l/h": "L/h",
+  "l/min": "L/min",
+  "m3/h": "m³/h",
+  "m³/h": "m³/h",
+};
+
+/**
+ * Vazão: número + unidade ("120 L/h", "2,5 L/min") ou número puro (assume L/h).
+ * Retorna { value: "120 L/h" } | { value: null } | { error }
+ */
+function parseVazao(input, unidade) {
+  if (input == null || String(input).trim() === "") return { value: null };
+
+  const raw = String(input).trim();
+  const m = raw.match(/^(\d+(?:[.,]\d+)?)\s*(.*)$/);
+  if (!m) return { error: 'vazao deve ser numérica (ex.: "120 L/h")' };
+
+  const num = Number(m[1].replace(",", "."));
+  if (!Number.isFinite(num) || num <= 0) {
+    return { error: "vazao deve ser um número positivo" };
+  }
+
+  const unitRaw = String(m[2] || unidade || "L/h")
+    .trim()
     .toLowerCase()
-    .trim();
+    .replace(/\s+/g, "");
+  const unit = VAZAO_UNIDADES[unitRaw];
+  if (!unit) {
+    return {
+      error: `Unidade de vazão inválida. Use: ${[...new Set(Object.values(VAZAO_UNIDADES))].join(", ")}`,
+    };
+  }
+
+  return { value: `${num} ${unit}` };
 }
 
-/** Busca cidade sem acento/caixa; se não achar e UF vier, cria; se precisar criar e faltar UF -> erro 400 */
-async function ensureCityByName(pool, nomeCidadeRaw, ufRaw = null) {
-  const nomeCidade = String(nomeCidadeRaw || "").trim();
-  if (!nomeCidade) return null;
+/**
+ * Valida payload de troca de filtro.
+ * partial=true (PUT) valida só o que veio; retorna { errors, values }
+ */
+function validateFiltroInput(body, { partial = false } = {}) {
+  const { data, tipo, nome, vazao, vazao_unidade } = body || {};
+  const errors = [];
+  const values = {};
 
-  const norm = normalizeName(nomeCidade);
-  const uf = ufRaw ? String(ufRaw).trim().toUpperCase() : null;
+  if (!partial || typeof data !== "undefined") {
+    if (!data) {
+      errors.push("Campo 'data' é obrigatório (YYYY-MM-DD)");
+    } else if (!isValidISODate(data)) {
+      errors.push("Campo 'data' inválido (use YYYY-MM-DD)");
+    } else if (String(data) > todayISO()) {
+      errors.push("Campo 'data' não pode ser no futuro");
+    } else {
+      values.data = String(data);
+    }
+  }
 
-  // 1) tenta match exato por nome + (UF se vier)
-  {
-    const sql = uf
-      ? "SELECT id, nome, uf FROM cidades WHERE LOWER(TRIM(nome)) = LOWER(TRIM(?)) AND UPPER(TRIM(uf)) = UPPER(TRIM(?)) LIMIT 2"
-      : "SELECT id, nome, uf FROM cidades WHERE LOWER(TRIM(nome)) = LOWER(TRIM(?)) LIMIT 2";
-    const params = uf ? [nomeCidade, uf] : [nomeCidade];
+  if (!partial || typeof tipo !== "undefined")
+    values.tipo = String(tipo ?? "-").trim() || "-";
+  if (!partial || typeof nome !== "undefined")
+    values.nome = String(nome ?? "-").trim() || "-";
 
-    const [rows] = await withTimeout(
-      pool.execute(sql, params),
-      4000,
-      "db_timeout"
-    );
-    if (rows.length === 1) return rows[0];
-    if (rows.length > 1) {
-      throw new Error(
-        uf
-          ? `Cidade ambígua: existe mais de uma "${nomeCidade}/${uf}".`
-          : `Cidade ambígua para "${nomeCidade}". Especifique UF (ex.: "${nomeCidade}/UF").`
-      );
+  if (!partial || typeof vazao !== "undefined") {
+    const v = parseVazao(vazao, vazao_unidade);
+    if (v.error) errors.push(v.error);
+    else values.vazao = v.value;
+  }
+
+  return { errors, values };
+}
+
+/**
+ * Busca cidade sem acento/caixa (cidades.nome_busca); se não achar e UF vier, cria.
+ * UF inválida, ou criação sem UF -> erro 400. Numa UF já carregada do IBGE
+ * não cria nada: nome desconhecido ali é erro de digitação -> 400.
+ * Com { criar: false } só valida: cidade nova volta com id null.
+ */
+async function ensureCityByName(
+  pool,
+  nomeCidadeRaw,
+  ufRaw = null,
+  { criar = true } = {}
+) {
+  const nomeCidade = String(nomeCidadeRaw || "").trim();
+  if (!nomeCidade) return null;
+
+  const key = cityKey(nomeCidade);
+  let uf = null;
+  if (ufRaw != null && String(ufRaw).trim()) {
+    uf = normalizeUF(ufRaw);
+    if (!uf) {
+      const err = new Error(`UF inválida: "${String(ufRaw).trim()}".`);
+      err._badRequest = true;
+      throw err;
     }
   }
 
-  // 2) tenta variantes sem acento (prefixo e filtro em JS)
+  // 1) match pela chave normalizada (+ UF se vier); linhas antigas sem
+  //    nome_busca caem no filtro em JS
   {
-    const prefix = nomeCidade.slice(0, 4);
     const sql = uf
-      ? "SELECT id, nome, uf FROM cidades WHERE UPPER(TRIM(uf)) = UPPER(TRIM(?)) AND nome LIKE ? ORDER BY nome LIMIT 20"
-      : "SELECT id, nome, uf FROM cidades WHERE nome LIKE ? ORDER BY nome LIMIT 20";
-    const params = uf ? [uf, `${prefix}%`] : [`${prefix}%`];
+      ? "SELECT id, nome, uf, nome_busca, ibge_codigo FROM cidades WHERE UPPER(TRIM(uf)) = ? AND (nome_busca = ? OR nome_busca IS NULL) ORDER BY id LIMIT 200"
+      : "SELECT id, nome, uf, nome_busca, ibge_codigo FROM cidades WHERE nome_busca = ? OR (nome_busca IS NULL AND nome LIKE ?) ORDER BY id LIMIT 200";
+    const params = uf ? [uf, key] : [key, `${nomeCidade.slice(0, 4)}%`];
 
     const [rows] = await withTimeout(
       pool.execute(sql, params),
       4000,
       "db_timeout"
     );
-    const filtered = rows.filter((r) => normalizeName(r.nome) === norm);
-    if (filtered.length === 1) return filtered[0];
-    if (filtered.length > 1) {
+    const matches = rows.filter(
+      (r) => (r.nome_busca || cityKey(r.nome)) === key
+    );
+
+    // duplicatas antigas: a linha oficial (IBGE) ganha
+    const oficiais = matches.filter((r) => r.ibge_codigo != null);
+    const pick = oficiais.length === 1 ? oficiais : matches;
+
+    if (pick.length === 1) {
+      const { id, nome, uf: cidadeUf } = pick[0];
+      return { id, nome, uf: cidadeUf };
+    }
+    if (pick.length > 1) {
       throw new Error(
         uf
           ? `Cidade ambígua: existe mais de uma "${nomeCidade}/${uf}".`
-          : `Cidade ambígua para "${nomeCidade}". Especifique UF.`
+          : `Cidade ambígua para "${nomeCidade}". Especifique UF (ex.: "${nomeCidade}/UF").`
       );
     }
   }
 
-  // 3) não achou —> criar
+  // 2) não achou —> criar
   if (!uf) {
     const err = new Error("UF obrigatória para criar nova cidade.");
     err._badRequest = true;
     throw err;
   }
 
+  const [[seeded]] = await withTimeout(
+    pool.execute(
+      "SELECT COUNT(*) AS total FROM cidades WHERE UPPER(TRIM(uf)) = ? AND ibge_codigo IS NOT NULL",
+      [uf]
+    ),
+    4000,
+    "db_timeout"
+  );
+  if (Number(seeded?.total) > 0) {
+    const err = new Error(
+      `Cidade "${nomeCidade}" não encontrada em ${uf}. Confira a grafia (GET /cidades?q=).`
+    );
+    err._badRequest = true;
+    throw err;
+  }
+  if (!criar) return { id: null, nome: nomeCidade, uf };
+
   const [res] = await withTimeout(
-    pool.execute("INSERT INTO cidades (nome, uf) VALUES (?, ?)", [
-      nomeCidade,
-      uf,
-    ]),
+    pool.execute(
+      "INSERT INTO cidades (nome, uf, nome_busca) VALUES (?, ?, ?)",
+      [nomeCidade, uf, key]
+    ),
     4000,
     "db_timeout"
   );
   return { id: res.insertId, nome: nomeCidade, uf };
 }
 
-// ✅ Garante que módulos do equipamento sejam SEMPRE "substituídos"
-// (sem depender de UNIQUE KEY / ON DUPLICATE KEY)
-async function replaceUserEquipModules(
-  pool,
-  { usuario_id, maquina_id, agua_gelada, agua_quente, agua_pet, aspersor }
-) {
-  const uid = Number(usuario_id);
-  const mid = Number(maquina_id);
-  if (!uid || !mid) return;
+let cepProvider = null;
+/** Provider de CEP (criado na 1ª utilização, conforme CEP_PROVIDER) */
+function getCepProvider() {
+  if (!cepProvider) cepProvider = createCepProvider(process.env);
+  return cepProvider;
+}
+
+/**
+ * Consulta de CEP com cache, para lotes (importação): cada CEP distinto vai
+ * uma vez ao provider; falha vira null (logada uma vez).
+ */
+function createCepCache() {
+  const cache = new Map();
+  return (cep) => {
+    if (!cache.has(cep)) {
+      cache.set(
+        cep,
+        getCepProvider()
+          .lookup(cep)
+          .catch((e) => {
+            console.error("[cep] falha na consulta", cep, e?.message || e);
+            return null;
+          })
+      );
+    }
+    return cache.get(cep);
+  };
+}
+
+/** Cidade, bairro e endereço já informados: o CEP não precisa de consulta */
+function enderecoCompleto({ cidade, bairro, endereco }) {
+  return Boolean(String(cidade ?? "").trim() && bairro && endereco);
+}
 
-  const gel = agua_gelada ? 1 : 0;
-  const que = agua_quente ? 1 : 0;
-  const pet = agua_pet ? 1 : 0;
-  const asp = aspersor ? 1 : 0;
+/**
+ * Completa cidade/UF/bairro/endereço vazios a partir do CEP (já normalizado).
+ * Falha do provider não bloqueia o cadastro: devolve o que veio.
+ * `consultarCep` troca a consulta direta ao provider (ex.: createCepCache).
+ */
+async function completarEnderecoPorCep(
+  { cep, cidade, uf, bairro, endereco },
+  consultarCep = (c) => getCepProvider().lookup(c)
+) {
+  const out = {
+    cidade: String(cidade ?? "").trim() || null,
+    uf: String(uf ?? "").trim() || null,
+    bairro: bairro || null,
+    endereco: endereco || null,
+  };
+  if (!cep || enderecoCompleto(out)) return out;
 
-  const conn = await pool.getConnection();
+  let info = null;
   try {
-    await conn.beginTransaction();
+    info = await consultarCep(cep);
+  } catch (e) {
+    console.error("[cep] falha na consulta", cep, e?.message || e);
+    return out;
+  }
+  if (!info) return out;
+
+  if (!out.cidade && info.cidade) {
+    out.cidade = info.cidade;
+    out.uf = info.uf || out.uf;
+  } else if (
+    out.cidade &&
+    !out.uf &&
+    cityKey(parseCidadeUf(out.cidade).nome) === cityKey(info.cidade)
+  ) {
+    out.uf = info.uf;
+  }
+  if (!out.bairro) out.bairro = info.bairro;
+  if (!out.endereco) out.endereco = info.logradouro;
 
-    // ✅ Mantém só 1 vínculo por equipamento (resolve o "tirar módulo não funciona")
-    await conn.execute(
-      `DELETE FROM usuarios_equipamentos WHERE maquina_id = ?`,
-      [mid]
-    );
+  return out;
+}
+
+// ===== Módulos do equipamento (usuarios_equipamentos)
+// Todo acesso a agua_gelada/agua_quente/agua_pet/aspersor passa por aqui.
+// Vínculo atual = fim IS NULL; os encerrados ficam como histórico de clientes.
+const MODULOS = ["agua_gelada", "agua_quente", "agua_pet", "aspersor"];
+// também gravados em maquinas: valem quando não há cliente vinculado
+const MODULOS_MAQUINA = ["aspersor"];
+// sem vínculo (ou coluna NULL): água ligada, aspersor desligado
+const MODULOS_PADRAO = {
+  agua_gelada: 1,
+  agua_quente: 1,
+  agua_pet: 1,
+  aspersor: 0,
+};
+
+/** true/1/"1"/"true"/"sim" -> 1; resto -> 0 */
+function toFlag(value) {
+  if (value === true || value === 1) return 1;
+  const raw = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return raw === "1" || raw === "true" || raw === "sim" ? 1 : 0;
+}
 
-    await conn.execute(
+/**
+ * Vínculo atual + módulos da máquina. Sem vínculo: MODULOS_MAQUINA vêm da
+ * própria máquina, os demais ficam no padrão.
+ */
+async function getMaquinaModules(pool, maquinaId) {
+  const [rows] = await withTimeout(
+    pool.execute(
       `
-      INSERT INTO usuarios_equipamentos
-        (usuario_id, maquina_id, agua_gelada, agua_quente, agua_pet, created_at, updated_at)
-      VALUES
-        (?, ?, ?, ?, ?, NOW(), NOW())
+      SELECT ue.usuario_id, ${MODULOS.map((mod) => `ue.${mod}`).join(", ")},
+             ${MODULOS_MAQUINA.map((mod) => `m.${mod} AS maquina_${mod}`).join(", ")}
+      FROM maquinas m
+      LEFT JOIN usuarios_equipamentos ue ON ue.maquina_id = m.id AND ue.fim IS NULL
+      WHERE m.id = ?
+      ORDER BY ue.inicio DESC, ue.id DESC
+      LIMIT 1
       `,
-      [uid, mid, gel, que, pet]
-    );
+      [Number(maquinaId)]
+    ),
+    4000,
+    "db_timeout"
+  );
 
-    await conn.commit();
-  } catch (e) {
-    await conn.rollback();
-    throw e;
-  } finally {
-    conn.release();
+  const row = rows[0] || {};
+  const data = { usuario_id: row.usuario_id ?? null };
+  for (const mod of MODULOS) {
+    const value =
+      row.usuario_id == null && MODULOS_MAQUINA.includes(mod)
+        ? row[`maquina_${mod}`]
+        : row[mod];
+    data[mod] = value == null ? MODULOS_PADRAO[mod] : Number(value) ? 1 : 0;
   }
+  return data;
 }
 
-// ===== /ping
-app.get("/ping", (_req, res) => {
-  res.type("text").send("pong-v2-sem-deleted-at");
-});
+/** Grava em maquinas os MODULOS_MAQUINA informados (undefined mantém) */
+async function gravarModulosMaquina(conn, maquinaId, modulos) {
+  const mods = MODULOS_MAQUINA.filter(
+    (mod) => typeof modulos[mod] !== "undefined"
+  );
+  if (!mods.length) return;
+  await withTimeout(
+    conn.execute(
+      `UPDATE maquinas SET ${mods.map((mod) => `${mod} = ?`).join(", ")} WHERE id = ? LIMIT 1`,
+      [...mods.map((mod) => toFlag(modulos[mod])), Number(maquinaId)]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
 
-// ===== /diag
-app.get("/diag", async (_req, res) => {
-  const info = {
-    MYSQL_HOST: process.env.MYSQL_HOST,
-    MYSQL_PORT: process.env.MYSQL_PORT,
-    MYSQL_DB: process.env.MYSQL_DB,
-    MYSQL_USER: process.env.MYSQL_USER,
-  };
-  try {
-    const conn = await mysql.createConnection({
-      host: process.env.MYSQL_HOST,
-      port: Number(process.env.MYSQL_PORT || 3306),
-      user: process.env.MYSQL_USER,
-      password: process.env.MYSQL_PASSWORD,
-      database: process.env.MYSQL_DB,
-      connectTimeout: 5000,
-    });
-    const [rows] = await conn.query(
-      "SELECT USER() AS user_func, CURRENT_USER() AS current_user"
+/**
+ * Vincula a máquina ao cliente e grava os módulos (na transação de quem chama).
+ * Mesmo cliente: só atualiza os módulos do vínculo atual. Outro cliente:
+ * encerra o vínculo atual (fim = agora) e abre um novo, com o motivo.
+ * Módulo não informado (undefined) mantém o valor atual (ou o padrão).
+ * Sem cliente: grava só os MODULOS_MAQUINA, na própria máquina.
+ */
+async function replaceUserEquipModules(
+  conn,
+  { usuario_id, maquina_id, motivo = null, ...modulos }
+) {
+  const uid = Number(usuario_id);
+  const mid = Number(maquina_id);
+  if (!mid) return;
+  if (!uid) return gravarModulosMaquina(conn, mid, modulos);
+
+  const [cur] = await withTimeout(
+    conn.execute(
+      `
+      SELECT id, usuario_id, agua_gelada, agua_quente, agua_pet, aspersor
+      FROM usuarios_equipamentos
+      WHERE maquina_id = ? AND fim IS NULL
+      ORDER BY inicio DESC, id DESC
+      FOR UPDATE
+      `,
+      [mid]
+    ),
+    4000,
+    "db_timeout"
+  );
+  // vínculo novo herda os módulos do atual; sem vínculo, os da máquina
+  let base = cur[0];
+  if (!base) {
+    [[base]] = await withTimeout(
+      conn.execute(
+        `SELECT ${MODULOS_MAQUINA.join(", ")} FROM maquinas WHERE id = ? LIMIT 1`,
+        [mid]
+      ),
+      4000,
+      "db_timeout"
     );
-    await conn.end();
-    return res.json({
-      ok: true,
-      env: info,
-      user_func: rows?.[0]?.user_func,
-      current_user: rows?.[0]?.current_user,
-    });
-  } catch (e) {
-    return res.status(500).json({ ok: false, env: info, error: e.message });
   }
-});
+  const flags = MODULOS.map((mod) => {
+    if (typeof modulos[mod] !== "undefined") return toFlag(modulos[mod]);
+    const prev = base?.[mod];
+    return prev == null ? MODULOS_PADRAO[mod] : Number(prev) ? 1 : 0;
+  });
+  // a máquina acompanha o vínculo, para valer quando ele for encerrado
+  await gravarModulosMaquina(
+    conn,
+    mid,
+    Object.fromEntries(MODULOS.map((mod, i) => [mod, flags[i]]))
+  );
 
-// ===== /health
-app.get("/health", async (_req, res) => {
-  try {
-    const [rows] = await withTimeout(
-      pool.query("SELECT 1 AS ok"),
+  if (cur.length === 1 && Number(cur[0].usuario_id) === uid) {
+    await withTimeout(
+      conn.execute(
+        `
+        UPDATE usuarios_equipamentos
+           SET ${MODULOS.map((mod) => `${mod} = ?`).join(", ")}, updated_at = NOW()
+         WHERE id = ?
+         LIMIT 1
+        `,
+        [...flags, cur[0].id]
+      ),
       4000,
       "db_timeout"
     );
-    return res.json({ ok: true, db: rows?.[0]?.ok === 1 });
-  } catch (e) {
-    const isTimeout = e && String(e.message).includes("db_timeout");
-    return res
-      .status(isTimeout ? 504 : 500)
-      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+    return;
   }
-});
-
-app.get("/equipamentos", async (req, res) => {
-  try {
-    const { limit, offset } = parseLimitOffset(req, 50, 10000);
 
-    const sql = `
-      SELECT
-        m.id,
-        m.nome,
-        m.serialNumber,
-        m.numeroNotaFiscal,
-        m.numeroSerieEquipamento,
-        m.tipo_id,
-        m.cidade_id,
-        c.nome AS cidade_nome,
-        c.uf   AS cidade_uf,
-        m.cep,
-        m.bairro,
-        m.endereco,
-        m.numero,
-        m.complemento,
-        m.data_instalacao,
-        m.status,
-        m.observacao,
-        m.created_at,
-        m.updated_at
-      FROM maquinas m
-      LEFT JOIN cidades c ON c.id = m.cidade_id
-      WHERE m.status <> 3
-      ORDER BY m.id DESC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
+  // ✅ Mantém só 1 vínculo aberto por equipamento; o novo começa no mesmo
+  // instante em que o anterior termina
+  const agora = new Date();
+  await encerrarVinculos(conn, { maquinaId: mid, agora });
 
-    const [rows] = await withTimeout(pool.query(sql), 20000, "db_timeout");
+  await withTimeout(
+    conn.execute(
+      `
+      INSERT INTO usuarios_equipamentos
+        (usuario_id, maquina_id, agua_gelada, agua_quente, agua_pet, aspersor, inicio, motivo, created_at, updated_at)
+      VALUES
+        (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `,
+      [uid, mid, ...flags, agora, motivo]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
 
-    return res.json({ ok: true, data: rows, limit, offset });
-  } catch (e) {
-    const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[GET /equipamentos]", e);
-    return res.status(isTimeout ? 504 : 500).json({
-      ok: false,
-      error: isTimeout ? "MySQL timeout" : String(e.message || e),
-    });
+/**
+ * Encerra (fim = agora) os vínculos abertos da máquina e/ou do cliente.
+ * inicio/fim vão como Date pelo mysql2, em UTC, como device_ts da telemetria.
+ */
+async function encerrarVinculos(
+  conn,
+  { maquinaId = null, usuarioId = null, agora = new Date() }
+) {
+  const where = ["fim IS NULL"];
+  const params = [];
+  if (maquinaId) {
+    where.push("maquina_id = ?");
+    params.push(Number(maquinaId));
   }
-});
+  if (usuarioId) {
+    where.push("usuario_id = ?");
+    params.push(Number(usuarioId));
+  }
+  if (params.length === 0) return;
+  await withTimeout(
+    conn.execute(
+      `UPDATE usuarios_equipamentos SET fim = ?, updated_at = NOW() WHERE ${where.join(" AND ")}`,
+      [agora, ...params]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
 
-app.get("/equipamentos/:id/modules", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    if (!id) return res.status(400).json({ error: "ID inválido" });
+// ===== Auditoria
+// Escritas em equipamentos, modelos, usuários e filtros (e a unificação de
+// cidades) gravam, na mesma transação, quem fez, a ação e o diff campo a
+// campo (GET /auditoria).
+const AUDITORIA_TABELAS = {
+  equipamento: "maquinas",
+  modelo: "tipos",
+  usuario: "users",
+  filtro: "filtros",
+  cidade: "cidades",
+};
+const AUDITORIA_ACOES = ["criar", "atualizar", "remover"];
+// só registra que mudou; o valor (hash) nunca é gravado
+const AUDITORIA_CAMPOS_SENSIVEIS = new Set(["password", "remember_token"]);
+// mudam em toda escrita, não interessam no diff
+const AUDITORIA_CAMPOS_IGNORADOS = new Set(["created_at", "updated_at"]);
+
+/** Estado atual da entidade (FOR UPDATE); equipamento inclui vínculo + módulos */
+async function auditSnapshot(conn, entidade, id) {
+  const [rows] = await withTimeout(
+    conn.query(
+      `SELECT * FROM ${AUDITORIA_TABELAS[entidade]} WHERE id = ? LIMIT 1 FOR UPDATE`,
+      [Number(id)]
+    ),
+    4000,
+    "db_timeout"
+  );
+  if (!rows.length) return null;
 
-    // 1) garantir que a máquina existe e pegar observacao
-    const [mRows] = await pool.query(
-      `
-      SELECT observacao
-      FROM maquinas
-      WHERE id = ?
-      LIMIT 1
-      `,
-      [id]
+  const row = { ...rows[0] };
+  if (entidade === "equipamento") {
+    const [ue] = await withTimeout(
+      conn.query(
+        `
+        SELECT usuario_id, ${MODULOS.join(", ")}
+        FROM usuarios_equipamentos
+        WHERE maquina_id = ? AND fim IS NULL
+        ORDER BY inicio DESC, id DESC
+        LIMIT 1
+        `,
+        [Number(id)]
+      ),
+      4000,
+      "db_timeout"
     );
+    row.usuario_id = ue[0]?.usuario_id ?? null;
+    // sem vínculo, MODULOS_MAQUINA ficam com o valor da própria máquina
+    for (const mod of MODULOS) {
+      row[mod] = (ue[0] ? ue[0][mod] : row[mod]) ?? null;
+    }
+  }
+  return row;
+}
 
-    if (!mRows || !mRows.length) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Equipamento não encontrado" });
-    }
+function auditValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value ?? null;
+}
 
-    const observacao = mRows[0]?.observacao ?? null;
+/** { campo: { antes, depois } } só com os campos que mudaram */
+function auditDiff(antes, depois) {
+  const diff = {};
+  const campos = new Set([
+    ...Object.keys(antes || {}),
+    ...Object.keys(depois || {}),
+  ]);
+  for (const campo of campos) {
+    if (AUDITORIA_CAMPOS_IGNORADOS.has(campo)) continue;
+    const a = auditValue(antes?.[campo]);
+    const d = auditValue(depois?.[campo]);
+    if (JSON.stringify(a) === JSON.stringify(d)) continue;
+    diff[campo] = AUDITORIA_CAMPOS_SENSIVEIS.has(campo)
+      ? { alterado: true }
+      : { antes: a, depois: d };
+  }
+  return diff;
+}
 
-    // 2) vínculo mais recente (se existir)
-    const [ueRows] = await pool.query(
+/** Grava 1 entrada usando a conexão (transação) da rota */
+async function registrarAuditoria(
+  conn,
+  req,
+  { entidade, entidadeId, acao, antes = null, depois = null }
+) {
+  await withTimeout(
+    conn.execute(
       `
-      SELECT
-        usuario_id,
-        COALESCE(agua_gelada, 1) AS agua_gelada,
-        COALESCE(agua_quente, 1) AS agua_quente,
-        COALESCE(agua_pet, 1)    AS agua_pet
-      FROM usuarios_equipamentos
-      WHERE maquina_id = ?
-      ORDER BY updated_at DESC, created_at DESC
-      LIMIT 1
+      INSERT INTO auditoria (usuario_id, entidade, entidade_id, acao, alteracoes, created_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
       `,
-      [id]
-    );
+      [
+        req.user?.id ?? null,
+        entidade,
+        Number(entidadeId),
+        acao,
+        JSON.stringify(auditDiff(antes, depois)),
+      ]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
 
-    // defaults se não existir vínculo
-    const usuario_id = ueRows?.[0]?.usuario_id ?? null;
-    const agua_gelada = ueRows?.[0]?.agua_gelada ?? 1;
-    const agua_quente = ueRows?.[0]?.agua_quente ?? 1;
-    const agua_pet = ueRows?.[0]?.agua_pet ?? 1;
+// ===== Histórico de status (maquinas_status_historico)
+// Toda troca de maquinas.status grava a transição, na transação da rota.
 
-    // 3) aspersor "habilitado" pelo cadastro (guardado em maquinas.observacao)
-    let aspersorFromConfig = 0;
-    try {
-      const obj = observacao ? JSON.parse(observacao) : null;
-      aspersorFromConfig = obj?.aspersor ? 1 : 0;
-    } catch {
-      aspersorFromConfig = 0;
-    }
+/** Motivo opcional da troca (texto livre, até 255) */
+function parseMotivo(input) {
+  const raw = String(input ?? "").trim();
+  return raw ? raw.slice(0, 255) : null;
+}
+
+/** Registra anterior -> novo; ignora se o status não mudou (anterior null = cadastro) */
+async function registrarTransicaoStatus(
+  conn,
+  req,
+  { maquinaId, anterior, novo, motivo = null }
+) {
+  if (anterior != null && Number(anterior) === Number(novo)) return;
+  await withTimeout(
+    conn.execute(
+      `
+      INSERT INTO maquinas_status_historico
+        (maquina_id, status_anterior, status_novo, motivo, usuario_id, created_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+      `,
+      [
+        Number(maquinaId),
+        anterior == null ? null : Number(anterior),
+        Number(novo),
+        motivo,
+        req.user?.id ?? null,
+      ]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
+
+/** Troca o status dentro da transação (antes = auditSnapshot): histórico + auditoria */
+async function alterarStatusMaquina(conn, req, antes, novo, motivo = null) {
+  if (Number(antes.status) === Number(novo)) return;
+  await withTimeout(
+    conn.execute(
+      "UPDATE maquinas SET status = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+      [novo, antes.id]
+    ),
+    4000,
+    "db_timeout"
+  );
+  await registrarTransicaoStatus(conn, req, {
+    maquinaId: antes.id,
+    anterior: antes.status,
+    novo,
+    motivo,
+  });
+  await registrarAuditoria(conn, req, {
+    entidade: "equipamento",
+    entidadeId: antes.id,
+    acao: "atualizar",
+    antes,
+    depois: await auditSnapshot(conn, "equipamento", antes.id),
+  });
+}
+
+// ===== Auth (JWT)
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 7);
+
+if (!JWT_SECRET) {
+  console.warn(
+    "[auth] JWT_SECRET não configurado: login e rotas protegidas vão falhar"
+  );
+}
+
+// rotas que não exigem token
+const PUBLIC_PATHS = new Set([
+  "/ping",
+  "/health",
+  "/auth/login",
+  "/auth/refresh",
+  "/auth/forgot-password",
+  "/auth/reset-password",
+  "/auth/verify-email",
+]);
+// prefixos com autenticação própria (ex.: chave do dispositivo) ou públicos
+// por natureza (/p/: cartão do QR da etiqueta)
+const PUBLIC_PREFIXES = ["/telemetria/", "/p/"];
+
+/** SHA-256 em hex (guardamos só o hash do jti do refresh token) */
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+/** Gera access token curto (stateless) para o usuário */
+function signAccessToken(user) {
+  return jwt.sign(
+    {
+      sub: String(user.id),
+      email: user.email,
+      type: user.type,
+      kind: "access",
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/** Gera refresh token e registra o jti (hash) em auth_refresh_tokens */
+async function issueRefreshToken(pool, userId) {
+  const jti = crypto.randomBytes(32).toString("hex");
+  const token = jwt.sign({ sub: String(userId), kind: "refresh" }, JWT_SECRET, {
+    expiresIn: `${REFRESH_TOKEN_DAYS}d`,
+    jwtid: jti,
+  });
+
+  await withTimeout(
+    pool.execute(
+      `
+      INSERT INTO auth_refresh_tokens (user_id, jti_hash, expires_at, created_at)
+      VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())
+      `,
+      [Number(userId), sha256(jti), REFRESH_TOKEN_DAYS]
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  return token;
+}
+
+/** Valida assinatura/expiração do refresh token; retorna payload ou null */
+function verifyRefreshToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ""), JWT_SECRET);
+    if (payload?.kind !== "refresh" || !payload.jti) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/** Revoga um refresh token (pelo jti); retorna true se estava ativo */
+async function revokeRefreshToken(pool, jti) {
+  const [r] = await withTimeout(
+    pool.execute(
+      `
+      UPDATE auth_refresh_tokens
+         SET revoked_at = NOW()
+       WHERE jti_hash = ?
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+       LIMIT 1
+      `,
+      [sha256(jti)]
+    ),
+    4000,
+    "db_timeout"
+  );
+  return r.affectedRows > 0;
+}
+
+/** Middleware: exige "Authorization: Bearer <access token>" fora das rotas públicas */
+function requireAuth(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  if (PUBLIC_PREFIXES.some((p) => req.path.startsWith(p))) return next();
+
+  const header = String(req.headers.authorization || "");
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ ok: false, error: "Token ausente" });
+  }
+  if (!JWT_SECRET) {
+    return res
+      .status(500)
+      .json({ ok: false, error: "Autenticação não configurada" });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload?.kind !== "access") throw new Error("wrong_kind");
+    req.user = {
+      id: Number(payload.sub),
+      email: payload.email,
+      type: payload.type == null ? null : Number(payload.type),
+    };
+    return next();
+  } catch (e) {
+    const expired = e && e.name === "TokenExpiredError";
+    return res
+      .status(401)
+      .json({
+        ok: false,
+        error: expired ? "Token expirado" : "Token inválido",
+      });
+  }
+}
+
+app.use(requireAuth);
+
+// ===== E-mail
+// URL do front usada nos links enviados por e-mail
+const APP_URL = (
+  process.env.APP_URL || "https://icehot-manager-suite.vercel.app"
+).replace(/\/+$/, "");
+
+let mailer = null;
+/** Transporte de e-mail (criado na 1ª utilização, conforme MAIL_TRANSPORT) */
+function getMailer() {
+  if (!mailer) mailer = createMailTransport(process.env);
+  return mailer;
+}
+
+// ===== Perfis (users.type)
+// 1 = admin (CRUD completo) | demais = cliente (só leitura das máquinas vinculadas)
+const USER_TYPE_ADMIN = 1;
 
-    const aspersor = aspersorFromConfig ? 1 : 0;
+function isAdmin(user) {
+  return !!user && user.type === USER_TYPE_ADMIN;
+}
+
+/** Middleware: só admin passa; cliente recebe 403 */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  return res
+    .status(403)
+    .json({ ok: false, error: "Acesso restrito a administradores" });
+}
+
+/**
+ * Filtro SQL de escopo por máquina (alias "m" = maquinas).
+ * Admin vê tudo; cliente só o que está vinculado a ele agora.
+ */
+function maquinaScope(user, alias = "m") {
+  if (isAdmin(user)) return { sql: "1 = 1", params: [] };
+  return {
+    sql: `EXISTS (SELECT 1 FROM usuarios_equipamentos ue_scope WHERE ue_scope.maquina_id = ${alias}.id AND ue_scope.usuario_id = ? AND ue_scope.fim IS NULL)`,
+    params: [Number(user?.id) || 0],
+  };
+}
+
+/** true se a máquina existe e está no escopo do usuário */
+async function canAccessMaquina(pool, user, maquinaId) {
+  const scope = maquinaScope(user);
+  const [rows] = await withTimeout(
+    pool.execute(
+      `SELECT m.id FROM maquinas m WHERE m.id = ? AND ${scope.sql} LIMIT 1`,
+      [maquinaId, ...scope.params]
+    ),
+    4000,
+    "db_timeout"
+  );
+  return rows.length > 0;
+}
+
+// ===== /ping
+app.get("/ping", (_req, res) => {
+  res.type("text").send("pong-v2-sem-deleted-at");
+});
 
+// ===== /diag
+app.get("/diag", requireAdmin, async (_req, res) => {
+  const info = {
+    MYSQL_HOST: process.env.MYSQL_HOST,
+    MYSQL_PORT: process.env.MYSQL_PORT,
+    MYSQL_DB: process.env.MYSQL_DB,
+    MYSQL_USER: process.env.MYSQL_USER,
+  };
+  try {
+    const conn = await mysql.createConnection({
+      host: process.env.MYSQL_HOST,
+      port: Number(process.env.MYSQL_PORT || 3306),
+      user: process.env.MYSQL_USER,
+      password: process.env.MYSQL_PASSWORD,
+      database: process.env.MYSQL_DB,
+      connectTimeout: 5000,
+    });
+    const [rows] = await conn.query(
+      "SELECT USER() AS user_func, CURRENT_USER() AS current_user"
+    );
+    await conn.end();
     return res.json({
       ok: true,
-      data: {
-        usuario_id,
-        agua_gelada,
-        agua_quente,
-        agua_pet,
-        aspersor,
-      },
+      env: info,
+      user_func: rows?.[0]?.user_func,
+      current_user: rows?.[0]?.current_user,
     });
   } catch (e) {
-    console.error("Erro em GET /equipamentos/:id/modules:", e);
-    return res.status(500).json({ error: "Erro ao buscar módulos" });
+    return res.status(500).json({ ok: false, env: info, error: e.message });
   }
 });
 
-app.post("/equipamentos", async (req, res) => {
+// ===== /health
+app.get("/health", async (_req, res) => {
   try {
-    const {
-      tipo_id,
-      nome,
-      serialNumber,
-      numeroNotaFiscal,
-      numeroSerieEquipamento,
-      cidade,
-      cidade_nome,
-      uf,
-      cep,
-      bairro,
-      endereco,
-      numero,
-      complemento,
-      data_instalacao,
-      status,
-      observacao,
-      usuario_id,
-      agua_gelada = 1,
-      agua_quente = 1,
-      agua_pet = 1,
-      aspersor = 0,
-    } = req.body || {};
-
-    const missing = [];
-    if (tipo_id == null) missing.push("tipo_id");
-    if (!nome) missing.push("nome");
-    if (!serialNumber) missing.push("serialNumber");
-    if (!data_instalacao) missing.push("data_instalacao");
-    if (status == null) missing.push("status");
+    const [rows] = await withTimeout(
+      pool.query("SELECT 1 AS ok"),
+      4000,
+      "db_timeout"
+    );
+    return res.json({ ok: true, db: rows?.[0]?.ok === 1 });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+  }
+});
 
-    if (missing.length) {
-      return res.status(400).json({
-        ok: false,
-        error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
-      });
+// ===== /auth
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Informe email e password" });
+    }
+    if (!JWT_SECRET) {
+      return res
+        .status(500)
+        .json({ ok: false, error: "Autenticação não configurada" });
     }
 
-    const statusCode = normalizeStatusToCode(status);
-
-    // unicidade por serialNumber
-    const [dups] = await withTimeout(
+    const [rows] = await withTimeout(
       pool.execute(
-        `
-        SELECT id
-        FROM maquinas
-        WHERE TRIM(serialNumber) = TRIM(?)
-          AND status <> 3
-        LIMIT 1
-        `,
-        [serialNumber]
+        "SELECT id, name, email, password, type FROM users WHERE email = ? LIMIT 1",
+        [String(email).trim()]
       ),
       4000,
       "db_timeout"
     );
 
-    if (dups.length) {
+    const user = rows[0];
+    const valid =
+      user && user.password
+        ? await bcrypt.compare(String(password), String(user.password))
+        : false;
+
+    if (!valid) {
       return res
-        .status(409)
-        .json({ ok: false, error: "serialNumber já cadastrado" });
+        .status(401)
+        .json({ ok: false, error: "E-mail ou senha inválidos" });
     }
 
-    // ===== Resolver cidade (opcional)
-    const cidadeTexto = (cidade ?? cidade_nome ?? "").toString().trim();
-    let cidadeId = null;
-    let ufFinal =
-      String(uf || "")
-        .trim()
-        .toUpperCase() || null;
+    const accessToken = signAccessToken(user);
+    const refreshToken = await issueRefreshToken(pool, user.id);
 
-    if (cidadeTexto) {
-      let nomeCidade = cidadeTexto;
-      const slash = cidadeTexto.indexOf("/");
-
-      if (slash > 0) {
-        nomeCidade = cidadeTexto.slice(0, slash).trim();
-        ufFinal =
-          cidadeTexto
-            .slice(slash + 1)
-            .trim()
-            .toUpperCase() || ufFinal;
-      }
+    return res.json({
+      ok: true,
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        type: user.type,
+      },
+    });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /auth/login]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
 
-      try {
-        const city = await ensureCityByName(pool, nomeCidade, ufFinal);
-        cidadeId = city?.id ?? null;
-      } catch (err) {
-        const msg = String(err?.message || err);
-        if (err && err._badRequest)
-          return res.status(400).json({ ok: false, error: msg });
-        return res.status(409).json({ ok: false, error: msg });
-      }
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    const payload = verifyRefreshToken(refresh_token);
+    if (!payload) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Refresh token inválido" });
     }
 
-    // ===== Observacao JSON (aspersor habilitado)
-    // Guarda o que vier em observacao (texto) + aspersor
-    let observacaoFinal = null;
-    try {
-      const baseObj =
-        observacao && String(observacao).trim()
-          ? (() => {
-              try {
-                const parsed = JSON.parse(String(observacao));
-                return parsed && typeof parsed === "object"
-                  ? parsed
-                  : { texto: String(observacao) };
-              } catch {
-                return { texto: String(observacao) };
-              }
-            })()
-          : {};
-
-      baseObj.aspersor = !!(
-        aspersor === true ||
-        aspersor === 1 ||
-        aspersor === "1"
-      );
-      observacaoFinal = JSON.stringify(baseObj);
-    } catch {
-      // fallback seguro
-      observacaoFinal = JSON.stringify({ aspersor: !!aspersor });
+    // rotação: o token usado é revogado; se já estava revogado, recusa
+    const wasActive = await revokeRefreshToken(pool, payload.jti);
+    if (!wasActive) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Refresh token revogado ou expirado" });
     }
 
-    // ===== INSERT em maquinas
-    const [result] = await withTimeout(
-      pool.execute(
-        `
-        INSERT INTO maquinas
-          (cidade_id, tipo_id, nome, serialNumber,
-           numeroNotaFiscal, numeroSerieEquipamento,
-           endereco, numero, bairro, cep, complemento,
-           data_instalacao, status, observacao,
-           created_at, updated_at)
-        VALUES
-          (?, ?, ?, ?,
-           ?, ?,
-           ?, ?, ?, ?, ?,
-           ?, ?, ?,
-           NOW(), NOW())
-        `,
-        [
-          cidadeId,
-          Number(tipo_id),
-          nome,
-          serialNumber,
-          numeroNotaFiscal || null,
-          numeroSerieEquipamento || null,
-          endereco || null,
-          numero || null,
-          bairro || null,
-          cep || null,
-          complemento || null,
-          data_instalacao,
-          statusCode,
-          observacaoFinal,
-        ]
-      ),
-      6000,
+    const [rows] = await withTimeout(
+      pool.execute("SELECT id, email, type FROM users WHERE id = ? LIMIT 1", [
+        Number(payload.sub),
+      ]),
+      4000,
       "db_timeout"
     );
-
-    const maquinaId = (result && result.insertId) || null;
-
-    // ===== vínculo (sem aspersor pq essa coluna NÃO existe)
-    if (usuario_id != null && maquinaId != null) {
-      await withTimeout(
-        replaceUserEquipModules(pool, {
-          usuario_id: Number(usuario_id),
-          maquina_id: Number(maquinaId),
-          agua_gelada,
-          agua_quente,
-          agua_pet,
-        }),
-        6000,
-        "db_timeout"
-      );
+    if (!rows.length) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Usuário não encontrado" });
     }
 
-    return res.status(201).json({
+    const accessToken = signAccessToken(rows[0]);
+    const refreshToken = await issueRefreshToken(pool, rows[0].id);
+
+    return res.json({
       ok: true,
-      id: maquinaId,
-      message: "Equipamento cadastrado com sucesso",
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL,
     });
   } catch (e) {
     const msg = String(e?.message || e);
     const isTimeout = msg.includes("db_timeout");
-    console.error("[POST /equipamentos]", e);
+    console.error("[POST /auth/refresh]", e);
     return res
       .status(isTimeout ? 504 : 500)
       .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
   }
 });
 
-app.get("/equipamentos/:id/filtros/ultimo", async (req, res) => {
+app.post("/auth/logout", async (req, res) => {
   try {
-    const maquinaId = Number(req.params.id);
-    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
-    }
+    const { refresh_token, all } = req.body || {};
 
-    const [rows] = await withTimeout(
-      pool.execute(
-        `
-        SELECT
-        COALESCE(f.data, m.data_instalacao) AS data
-      FROM maquinas m
-      LEFT JOIN filtros f
-        ON f.maquina_id = m.id
-      WHERE m.id = ?
-      ORDER BY f.data DESC, f.updated_at DESC
-      LIMIT 1;
-        `,
-        [maquinaId]
-      ),
-      4000,
-      "db_timeout"
-    );
+    // all=true encerra todas as sessões do usuário logado
+    if (all === true || String(all) === "1") {
+      await withTimeout(
+        pool.execute(
+          "UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+          [req.user.id]
+        ),
+        4000,
+        "db_timeout"
+      );
+      return res.json({ ok: true, message: "Todas as sessões encerradas" });
+    }
 
-    return res.json({
-      ok: true,
-      data: rows.length ? rows[0].data : null,
-    });
+    const payload = verifyRefreshToken(refresh_token);
+    if (payload && Number(payload.sub) === req.user.id) {
+      await revokeRefreshToken(pool, payload.jti);
+    }
+
+    return res.json({ ok: true, message: "Logout realizado" });
   } catch (e) {
-    console.error("[GET /equipamentos/:id/filtros/ultimo]", e);
-    return res.status(500).json({ ok: false, error: "Erro ao buscar troca" });
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /auth/logout]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
   }
 });
 
-app.post("/equipamentos/:id/filtros", async (req, res) => {
-  try {
-    const maquinaId = Number(req.params.id);
-    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
-    }
+// ===== Recuperação de senha
+const PASSWORD_RESET_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 60);
 
-    const { data, tipo, nome, vazao } = req.body || {};
-    if (!data) {
+app.post("/auth/forgot-password", async (req, res) => {
+  // resposta sempre igual, para não revelar quais e-mails existem
+  const genericResponse = {
+    ok: true,
+    message:
+      "Se o e-mail estiver cadastrado, enviaremos um link de redefinição",
+  };
+
+  try {
+    const { email } = req.body || {};
+    if (!email || !String(email).trim()) {
       return res
         .status(400)
-        .json({ ok: false, error: "Campo 'data' é obrigatório (YYYY-MM-DD)" });
+        .json({ ok: false, error: "Campo 'email' é obrigatório" });
     }
 
-    // (opcional mas bom) valida se a máquina existe
-    const [exists] = await withTimeout(
-      pool.execute("SELECT id FROM maquinas WHERE id = ? LIMIT 1", [maquinaId]),
+    const [rows] = await withTimeout(
+      pool.execute(
+        "SELECT id, name, email FROM users WHERE email = ? LIMIT 1",
+        [String(email).trim()]
+      ),
       4000,
       "db_timeout"
     );
-    if (!exists.length) {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Equipamento não encontrado." });
-    }
+    if (!rows.length) return res.json(genericResponse);
 
-    const tipoFinal = String(tipo ?? "-").trim() || "-";
-    const nomeFinal = String(nome ?? "-").trim() || "-";
-    const vazaoFinal = vazao == null ? null : String(vazao).trim();
+    const user = rows[0];
+    const token = crypto.randomBytes(32).toString("hex");
 
-    const [result] = await withTimeout(
+    // só o token mais recente vale: invalida pedidos anteriores
+    await withTimeout(
+      pool.execute(
+        "UPDATE auth_password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+        [user.id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await withTimeout(
       pool.execute(
         `
-        INSERT INTO filtros (maquina_id, tipo, nome, data, vazao, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+        INSERT INTO auth_password_resets (user_id, token_hash, expires_at, created_at)
+        VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())
         `,
-        [maquinaId, tipoFinal, nomeFinal, data, vazaoFinal]
+        [user.id, sha256(token), PASSWORD_RESET_TTL_MIN]
       ),
-      6000,
+      4000,
       "db_timeout"
     );
 
-    return res.status(201).json({
-      ok: true,
-      id: result.insertId,
-      maquina_id: maquinaId,
-      message: "Troca de filtro registrada com sucesso",
-    });
+    const link = `${APP_URL}/redefinir-senha?token=${token}`;
+    // falha no envio não pode mudar a resposta: revelaria que o e-mail existe
+    try {
+      await getMailer().send({
+        to: user.email,
+        subject: "ICEHOT - Redefinição de senha",
+        text:
+          `Olá, ${user.name || ""}\n\n` +
+          `Recebemos um pedido para redefinir sua senha. Acesse o link abaixo ` +
+          `(válido por ${PASSWORD_RESET_TTL_MIN} minutos):\n\n${link}\n\n` +
+          `Se você não fez esse pedido, ignore este e-mail.`,
+      });
+    } catch (err) {
+      console.error("[POST /auth/forgot-password] falha no envio", err);
+    }
+
+    return res.json(genericResponse);
   } catch (e) {
     const msg = String(e?.message || e);
     const isTimeout = msg.includes("db_timeout");
-    console.error("[POST /equipamentos/:id/filtros]", e);
+    console.error("[POST /auth/forgot-password]", e);
     return res
       .status(isTimeout ? 504 : 500)
       .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
   }
 });
 
-app.put("/equipamentos/:id", async (req, res) => {
+app.post("/auth/reset-password", async (req, res) => {
+  let conn;
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
-    }
-
-    const body = req.body || {};
-    const {
-      tipo_id,
-      nome,
-      serialNumber,
-      numeroNotaFiscal,
-      numeroSerieEquipamento,
-      cidade,
-      cidade_nome,
-      uf,
-      cep,
-      bairro,
-      endereco,
-      numero,
-      complemento,
-      data_instalacao,
-      status,
-      observacao,
-      usuario_id,
-      agua_gelada,
-      agua_quente,
-      agua_pet,
-      aspersor,
-    } = body;
-
-    // 1) atualização simples de status
-    const onlyStatusUpdate =
-      Object.keys(body).length === 1 && typeof status !== "undefined";
-
-    if (onlyStatusUpdate) {
-      const code = normalizeStatusToCode(status);
-      const [r] = await withTimeout(
-        pool.execute(
-          "UPDATE maquinas SET status = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
-          [code, id]
-        ),
-        6000,
-        "db_timeout"
-      );
-
-      if (r.affectedRows === 0) {
-        return res.status(404).json({ ok: false, error: "Não encontrado" });
-      }
-
-      return res.json({
-        ok: true,
-        id,
-        mode: "status-only",
-        message: "Status atualizado com sucesso",
-      });
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Informe token e password" });
     }
-
-    // 2) atualização completa
-    const missing = [];
-    if (tipo_id == null) missing.push("tipo_id");
-    if (!nome) missing.push("nome");
-    if (!serialNumber) missing.push("serialNumber");
-    if (!data_instalacao) missing.push("data_instalacao");
-    if (status == null) missing.push("status");
-
-    if (missing.length) {
+    if (String(password).length < 6) {
       return res.status(400).json({
         ok: false,
-        error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
+        error: "A senha deve ter pelo menos 6 caracteres",
       });
     }
 
-    const statusCode = normalizeStatusToCode(status);
+    const hash = await bcrypt.hash(String(password), 10);
 
-    // duplicidade de serialNumber
-    const [dups] = await withTimeout(
-      pool.execute(
-        "SELECT id FROM maquinas WHERE TRIM(serialNumber) = TRIM(?) AND id <> ? LIMIT 1",
-        [serialNumber, id]
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await withTimeout(
+      conn.execute(
+        `
+        SELECT id, user_id
+        FROM auth_password_resets
+        WHERE token_hash = ?
+          AND used_at IS NULL
+          AND expires_at > NOW()
+        LIMIT 1
+        FOR UPDATE
+        `,
+        [sha256(token)]
       ),
       4000,
       "db_timeout"
     );
-
-    if (dups.length) {
+    if (!rows.length) {
+      await conn.rollback();
       return res
-        .status(409)
-        .json({ ok: false, error: "serialNumber já cadastrado" });
+        .status(400)
+        .json({ ok: false, error: "Token inválido ou expirado" });
     }
 
-    // ===== Resolver cidade (opcional)
-    const cidadeTexto = (cidade ?? cidade_nome ?? "").toString().trim();
-    let cidadeId = null;
-    let ufFinal =
-      String(uf || "")
-        .trim()
-        .toUpperCase() || null;
-
-    if (cidadeTexto) {
-      let nomeCidade = cidadeTexto;
-      const slash = cidadeTexto.indexOf("/");
-
-      if (slash > 0) {
-        nomeCidade = cidadeTexto.slice(0, slash).trim();
-        ufFinal =
-          cidadeTexto
-            .slice(slash + 1)
-            .trim()
-            .toUpperCase() || ufFinal;
-      }
-
-      try {
-        const city = await ensureCityByName(pool, nomeCidade, ufFinal);
-        cidadeId = city?.id ?? null;
-      } catch (err) {
-        const msg = String(err?.message || err);
-        if (err && err._badRequest)
-          return res.status(400).json({ ok: false, error: msg });
-        return res.status(409).json({ ok: false, error: msg });
-      }
-    }
+    const { id: resetId, user_id: userId } = rows[0];
 
-    // ===== Observacao JSON (merge do que já existe + aspersor)
-    // 1) pega observacao atual do banco
-    const [curRows] = await withTimeout(
-      pool.execute("SELECT observacao FROM maquinas WHERE id = ? LIMIT 1", [
-        id,
-      ]),
+    await withTimeout(
+      conn.execute(
+        "UPDATE auth_password_resets SET used_at = NOW() WHERE id = ? LIMIT 1",
+        [resetId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await withTimeout(
+      conn.execute(
+        "UPDATE users SET password = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+        [hash, userId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    // derruba sessões abertas com a senha antiga
+    await withTimeout(
+      conn.execute(
+        "UPDATE auth_refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [userId]
+      ),
       4000,
       "db_timeout"
     );
 
-    const curObs = curRows?.[0]?.observacao ?? null;
+    await conn.commit();
 
-    let mergedObsObj = {};
-    try {
-      if (curObs && String(curObs).trim()) {
-        try {
-          const parsed = JSON.parse(String(curObs));
-          mergedObsObj =
-            parsed && typeof parsed === "object"
-              ? parsed
-              : { texto: String(curObs) };
-        } catch {
-          mergedObsObj = { texto: String(curObs) };
-        }
-      }
-    } catch {
-      mergedObsObj = {};
-    }
+    return res.json({ ok: true, message: "Senha redefinida com sucesso" });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    console.error("[POST /auth/reset-password]", e);
+    return res.status(500).json({ ok: false, error: msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
 
-    // 2) se o payload trouxe observacao (texto ou json), mescla também
-    if (typeof observacao !== "undefined") {
-      try {
-        if (observacao && String(observacao).trim()) {
-          try {
-            const parsed = JSON.parse(String(observacao));
-            if (parsed && typeof parsed === "object")
-              mergedObsObj = { ...mergedObsObj, ...parsed };
-            else mergedObsObj.texto = String(observacao);
-          } catch {
-            mergedObsObj.texto = String(observacao);
-          }
-        }
-      } catch {
-        // ignora
-      }
+// ===== Verificação de e-mail (users.email_verified_at)
+const EMAIL_VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFY_TTL_HOURS || 72);
+
+/** Gera token de verificação para o e-mail atual do usuário e envia o link */
+async function sendEmailVerification(pool, user) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await withTimeout(
+    pool.execute(
+      "UPDATE auth_email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [user.id]
+    ),
+    4000,
+    "db_timeout"
+  );
+  await withTimeout(
+    pool.execute(
+      `
+      INSERT INTO auth_email_verifications (user_id, email, token_hash, expires_at, created_at)
+      VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())
+      `,
+      [user.id, user.email, sha256(token), EMAIL_VERIFY_TTL_HOURS]
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  const link = `${APP_URL}/verificar-email?token=${token}`;
+  await getMailer().send({
+    to: user.email,
+    subject: "ICEHOT - Confirme seu e-mail",
+    text:
+      `Olá, ${user.name || ""}\n\n` +
+      `Confirme seu e-mail para receber os avisos de troca de filtro:\n\n${link}\n\n` +
+      `O link vale por ${EMAIL_VERIFY_TTL_HOURS} horas.`,
+  });
+}
+
+/** Mesmo que sendEmailVerification, mas sem derrubar a rota se o envio falhar */
+async function trySendEmailVerification(pool, user, label) {
+  try {
+    await sendEmailVerification(pool, user);
+    return true;
+  } catch (e) {
+    console.error(`[${label}] falha ao enviar verificação de e-mail`, e);
+    return false;
+  }
+}
+
+async function verifyEmailHandler(req, res) {
+  try {
+    const token = req.query.token ?? req.body?.token;
+    if (!token) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'token' é obrigatório" });
     }
 
-    // 3) aplica aspersor se veio no payload (não sobrescreve se não veio)
-    if (typeof aspersor !== "undefined") {
-      mergedObsObj.aspersor = !!(
-        aspersor === true ||
-        aspersor === 1 ||
-        aspersor === "1"
-      );
+    const [rows] = await withTimeout(
+      pool.execute(
+        `
+        SELECT id, user_id, email
+        FROM auth_email_verifications
+        WHERE token_hash = ?
+          AND used_at IS NULL
+          AND expires_at > NOW()
+        LIMIT 1
+        `,
+        [sha256(token)]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Token inválido ou expirado" });
     }
 
-    const observacaoFinal = Object.keys(mergedObsObj).length
-      ? JSON.stringify(mergedObsObj)
-      : null;
+    const { id: verificationId, user_id: userId, email } = rows[0];
 
-    // ===== UPDATE maquinas
+    await withTimeout(
+      pool.execute(
+        "UPDATE auth_email_verifications SET used_at = NOW() WHERE id = ? LIMIT 1",
+        [verificationId]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    // só confirma se o e-mail ainda é o mesmo para o qual o link foi gerado
     const [r] = await withTimeout(
       pool.execute(
         `
-        UPDATE maquinas
-           SET cidade_id = ?,
-               tipo_id = ?,
-               nome = ?,
-               serialNumber = ?,
-               numeroNotaFiscal = ?,
-               numeroSerieEquipamento = ?,
-               endereco = ?,
-               numero = ?,
-               bairro = ?,
-               cep = ?,
-               complemento = ?,
-               data_instalacao = ?,
-               status = ?,
-               observacao = ?,
+        UPDATE users
+           SET email_verified_at = COALESCE(email_verified_at, NOW()),
                updated_at = NOW()
          WHERE id = ?
+           AND email = ?
          LIMIT 1
         `,
-        [
-          cidadeId,
-          Number(tipo_id),
-          nome,
-          serialNumber,
-          numeroNotaFiscal || null,
-          numeroSerieEquipamento || null,
-          endereco || null,
-          numero || null,
-          bairro || null,
-          cep || null,
-          complemento || null,
-          data_instalacao,
-          statusCode,
-          observacaoFinal,
-          id,
-        ]
+        [userId, email]
       ),
-      6000,
+      4000,
       "db_timeout"
     );
-
     if (r.affectedRows === 0) {
-      return res.status(404).json({ ok: false, error: "Não encontrado" });
+      return res.status(400).json({
+        ok: false,
+        error: "O e-mail do usuário mudou; solicite um novo link",
+      });
     }
 
-    // ===== vínculo (sem aspersor pq NÃO existe coluna)
-    if (usuario_id != null) {
-      await withTimeout(
-        replaceUserEquipModules(pool, {
-          usuario_id: Number(usuario_id),
-          maquina_id: id,
-          agua_gelada,
-          agua_quente,
-          agua_pet,
-        }),
-        6000,
-        "db_timeout"
-      );
+    return res.json({ ok: true, message: "E-mail verificado com sucesso" });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error(`[${req.method} /auth/verify-email]`, e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+}
+
+app.get("/auth/verify-email", verifyEmailHandler);
+app.post("/auth/verify-email", verifyEmailHandler);
+
+// reenviar link: o próprio usuário, ou admin para qualquer usuario_id
+app.post("/auth/resend-verification", async (req, res) => {
+  try {
+    const { usuario_id } = req.body || {};
+    const targetId =
+      usuario_id != null && isAdmin(req.user)
+        ? Number(usuario_id)
+        : req.user.id;
+
+    if (!Number.isInteger(targetId) || targetId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
     }
 
-    return res.json({
-      ok: true,
-      id,
-      mode: "full-update",
-      message: "Equipamento atualizado com sucesso",
-    });
+    const [rows] = await withTimeout(
+      pool.execute(
+        "SELECT id, name, email, email_verified_at FROM users WHERE id = ? LIMIT 1",
+        [targetId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+    if (rows[0].email_verified_at) {
+      return res.status(409).json({ ok: false, error: "E-mail já verificado" });
+    }
+
+    await sendEmailVerification(pool, rows[0]);
+
+    return res.json({ ok: true, message: "Link de verificação reenviado" });
   } catch (e) {
     const msg = String(e?.message || e);
     const isTimeout = msg.includes("db_timeout");
-    console.error("[PUT /equipamentos/:id]", e);
+    console.error("[POST /auth/resend-verification]", e);
     return res
       .status(isTimeout ? 504 : 500)
       .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
   }
 });
 
-app.delete("/equipamentos/:id", async (req, res) => {
-  const rawId = req.params.id;
-  const { hard } = req.query;
+app.get("/auth/me", async (req, res) => {
+  try {
+    const [rows] = await withTimeout(
+      pool.execute(
+        "SELECT id, name, email, email_verified_at, photo, type FROM users WHERE id = ? LIMIT 1",
+        [req.user.id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+    return res.json({ ok: true, data: rows[0] });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /auth/me]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
 
-  const id = Number(rawId);
-  if (!id || Number.isNaN(id)) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "ID inválido para equipamento." });
+// ===== Filtros de GET /equipamentos
+const EQUIPAMENTOS_SORTING = {
+  columns: {
+    id: "m.id",
+    nome: "m.nome",
+    serialNumber: "m.serialNumber",
+    status: "m.status",
+    cidade: "c.nome",
+    data_instalacao: "m.data_instalacao",
+    created_at: "m.created_at",
+    updated_at: "m.updated_at",
+  },
+  defaultSort: "id",
+  defaultOrder: "desc",
+};
+
+/**
+ * Monta o WHERE de listagem de máquinas (alias m = maquinas, c = cidades)
+ * a partir da query. Retorna { where: [...], params: [...] } ou { error }.
+ */
+function buildEquipamentosFilters(req) {
+  const where = ["m.status <> 3"];
+  const params = [];
+  const q = req.query;
+
+  const scope = maquinaScope(req.user);
+  where.push(scope.sql);
+  params.push(...scope.params);
+
+  // status: códigos ou rótulos ("0,1" | "ativo,atendimento")
+  const statusList = queryList(q.status);
+  if (statusList.length) {
+    const codes = [];
+    for (const st of statusList) {
+      const raw = st.toLowerCase();
+      const code = /^\d+$/.test(raw)
+        ? Number(raw)
+        : Object.keys(STATUS_LABELS).find((k) => STATUS_LABELS[k] === raw);
+      if (code == null || ![0, 1, 2].includes(Number(code))) {
+        return { error: `status inválido: ${st}` };
+      }
+      codes.push(Number(code));
+    }
+    where.push("m.status IN (?)");
+    params.push(codes);
   }
 
-  const isHard = String(hard) === "1";
+  for (const [key, col] of [
+    ["tipo_id", "m.tipo_id"],
+    ["cidade_id", "m.cidade_id"],
+  ]) {
+    const ids = queryList(q[key]).map(Number);
+    if (!ids.length) continue;
+    if (!ids.every((n) => Number.isInteger(n) && n > 0)) {
+      return { error: `${key} inválido` };
+    }
+    where.push(`${col} IN (?)`);
+    params.push(ids);
+  }
+
+  const ufs = queryList(q.uf).map((u) => u.toUpperCase());
+  if (ufs.length) {
+    where.push("UPPER(TRIM(c.uf)) IN (?)");
+    params.push(ufs);
+  }
+
+  if (q.usuario_id != null && q.usuario_id !== "") {
+    const uid = Number(q.usuario_id);
+    if (!Number.isInteger(uid) || uid <= 0) {
+      return { error: "usuario_id inválido" };
+    }
+    where.push(
+      "EXISTS (SELECT 1 FROM usuarios_equipamentos ue WHERE ue.maquina_id = m.id AND ue.usuario_id = ? AND ue.fim IS NULL)"
+    );
+    params.push(uid);
+  }
+
+  // intervalos de data (inclusivos)
+  for (const [de, ate, col] of [
+    ["instalacao_de", "instalacao_ate", "m.data_instalacao"],
+    ["criado_de", "criado_ate", "m.created_at"],
+  ]) {
+    if (q[de]) {
+      if (!isValidISODate(q[de]))
+        return { error: `${de} inválido (YYYY-MM-DD)` };
+      where.push(`${col} >= ?`);
+      params.push(String(q[de]));
+    }
+    if (q[ate]) {
+      if (!isValidISODate(q[ate]))
+        return { error: `${ate} inválido (YYYY-MM-DD)` };
+      where.push(`${col} < DATE_ADD(?, INTERVAL 1 DAY)`);
+      params.push(String(q[ate]));
+    }
+  }
+
+  const text = String(q.q ?? "").trim();
+  if (text) {
+    const like = `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+    where.push(
+      "(m.nome LIKE ? OR m.serialNumber LIKE ? OR m.numeroSerieEquipamento LIKE ? OR m.numeroNotaFiscal LIKE ?)"
+    );
+    params.push(like, like, like, like);
+  }
+
+  return { where, params };
+}
 
+app.get("/equipamentos", async (req, res) => {
   try {
-    if (isHard) {
-      // =========================
-      // DELETE LÓGICO DEFINITIVO
-      // =========================
-      // status = 3  => "Deletado"
-      // remove vínculo com usuário
-      // mantém histórico (informacoes)
-      // =========================
+    const { limit, offset, sort, order, orderBy } = parseLimitOffset(
+      req,
+      50,
+      10000,
+      EQUIPAMENTOS_SORTING
+    );
+    const filters = buildEquipamentosFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ ok: false, error: filters.error });
+    }
+    const whereSql = filters.where.join("\n        AND ");
 
-      const [update] = await withTimeout(
-        pool.execute(
-          "UPDATE maquinas SET status = 3, updated_at = NOW() WHERE id = ?",
+    const sql = `
+      SELECT
+        m.id,
+        m.nome,
+        m.serialNumber,
+        m.numeroNotaFiscal,
+        m.numeroSerieEquipamento,
+        m.tipo_id,
+        m.cidade_id,
+        c.nome AS cidade_nome,
+        c.uf   AS cidade_uf,
+        m.cep,
+        m.bairro,
+        m.endereco,
+        m.numero,
+        m.complemento,
+        m.data_instalacao,
+        m.status,
+        m.observacao,
+        m.intervalo_troca_dias,
+        m.created_at,
+        m.updated_at
+      FROM maquinas m
+      LEFT JOIN cidades c ON c.id = m.cidade_id
+      WHERE ${whereSql}
+      ORDER BY ${orderBy}, m.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `
+        SELECT COUNT(*) AS total
+        FROM maquinas m
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        WHERE ${whereSql}
+        `,
+        filters.params
+      ),
+      20000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(sql, filters.params),
+      20000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+      sort,
+      order,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Lixeira (status 3)
+app.get("/equipamentos/lixeira", requireAdmin, async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+    const where = ["m.status = 3"];
+    const params = [];
+
+    const text = String(req.query.q ?? "").trim();
+    if (text) {
+      const like = `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+      where.push("(m.nome LIKE ? OR m.serialNumber LIKE ?)");
+      params.push(like, like);
+    }
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM maquinas m WHERE ${where.join(" AND ")}`,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          m.id,
+          m.nome,
+          m.serialNumber,
+          m.tipo_id,
+          t.nome AS modelo_nome,
+          m.cidade_id,
+          c.nome AS cidade_nome,
+          c.uf,
+          l.status_anterior,
+          l.usuario_id AS cliente_anterior_id,
+          cu.name AS cliente_anterior_nome,
+          l.motivo,
+          l.deleted_by,
+          du.name AS deleted_by_nome,
+          COALESCE(l.deleted_at, m.updated_at) AS deleted_at,
+          (SELECT COUNT(*) FROM filtros f WHERE f.maquina_id = m.id) AS filtros
+        FROM maquinas m
+        LEFT JOIN maquinas_lixeira l ON l.maquina_id = m.id
+        LEFT JOIN tipos t ON t.id = m.tipo_id
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        LEFT JOIN users cu ON cu.id = l.usuario_id
+        LEFT JOIN users du ON du.id = l.deleted_by
+        WHERE ${where.join(" AND ")}
+        ORDER BY deleted_at DESC, m.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows.map((r) => ({ ...r, filtros: Number(r.filtros) })),
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/lixeira]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+/**
+ * Tira da lixeira: volta ao status anterior e recria o vínculo/módulos
+ * guardados na exclusão (se o cliente ainda existir).
+ */
+app.post("/equipamentos/:id/restaurar", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "equipamento", id);
+    if (!antes) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+    if (Number(antes.status) !== 3) {
+      await conn.rollback();
+      return res
+        .status(409)
+        .json({ ok: false, error: "Equipamento não está na lixeira" });
+    }
+
+    // outro equipamento pode ter assumido o serialNumber nesse meio tempo
+    const [dups] = await withTimeout(
+      conn.execute(
+        "SELECT id FROM maquinas WHERE TRIM(serialNumber) = TRIM(?) AND status <> 3 AND id <> ? LIMIT 1",
+        [antes.serialNumber, id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (dups.length) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: `serialNumber já em uso pelo equipamento ${dups[0].id}`,
+      });
+    }
+
+    const [[lixo]] = await withTimeout(
+      conn.execute(
+        "SELECT * FROM maquinas_lixeira WHERE maquina_id = ? LIMIT 1 FOR UPDATE",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    // excluídos antes da lixeira existir: status anterior pelo histórico
+    let statusAnterior = lixo ? Number(lixo.status_anterior) : null;
+    if (statusAnterior == null) {
+      const [[hist]] = await withTimeout(
+        conn.execute(
+          `
+          SELECT status_anterior FROM maquinas_status_historico
+          WHERE maquina_id = ? AND status_novo = 3 AND status_anterior IS NOT NULL
+          ORDER BY created_at DESC, id DESC
+          LIMIT 1
+          `,
           [id]
         ),
-        6000,
+        4000,
         "db_timeout"
       );
+      statusAnterior = hist ? Number(hist.status_anterior) : 0;
+    }
 
-      const affected =
-        (update && update.affectedRows) ||
-        (Array.isArray(update) ? update[0]?.affectedRows : 0);
-
-      if (!affected) {
-        return res
-          .status(404)
-          .json({ ok: false, error: "Equipamento não encontrado." });
-      }
-
-      // remove vínculo com cliente (pra sumir do dash)
-      await withTimeout(
-        pool.execute("DELETE FROM usuarios_equipamentos WHERE maquina_id = ?", [
-          id,
+    let vinculoRestaurado = false;
+    if (lixo?.usuario_id) {
+      const [cliente] = await withTimeout(
+        conn.execute("SELECT id FROM users WHERE id = ? LIMIT 1", [
+          lixo.usuario_id,
         ]),
-        6000,
+        4000,
         "db_timeout"
       );
+      if (cliente.length) {
+        await replaceUserEquipModules(conn, {
+          usuario_id: lixo.usuario_id,
+          maquina_id: id,
+          motivo: "restaurado da lixeira",
+          ...Object.fromEntries(
+            MODULOS.filter((mod) => lixo[mod] != null).map((mod) => [
+              mod,
+              lixo[mod],
+            ])
+          ),
+        });
+        vinculoRestaurado = true;
+      }
+    }
 
-      return res.json({
-        ok: true,
-        hard: true,
-        deleted: true,
-        message: "Equipamento removido da visão do cliente.",
-      });
-    } else {
-      // =========================
-      // DESATIVAR (status = 2)
-      // =========================
-      const [result] = await withTimeout(
-        pool.execute(
-          "UPDATE maquinas SET status = ?, updated_at = NOW() WHERE id = ?",
-          ["2", id]
-        ),
-        6000,
-        "db_timeout"
-      );
+    await alterarStatusMaquina(
+      conn,
+      req,
+      antes,
+      statusAnterior,
+      "restaurado da lixeira"
+    );
+    await withTimeout(
+      conn.execute("DELETE FROM maquinas_lixeira WHERE maquina_id = ?", [id]),
+      4000,
+      "db_timeout"
+    );
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      status: statusAnterior,
+      usuario_id: vinculoRestaurado ? lixo.usuario_id : null,
+      vinculo_restaurado: vinculoRestaurado,
+      message: "Equipamento restaurado",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /equipamentos/:id/restaurar]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Exclusão definitiva (só da lixeira). Com histórico de filtros recusa,
+ * a não ser que ?forcar=1 — aí o histórico vai junto. Auditoria fica.
+ */
+app.delete("/equipamentos/lixeira/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const forcar = String(req.query.forcar) === "1";
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "equipamento", id);
+    if (!antes) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+    if (Number(antes.status) !== 3) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: "Só equipamentos na lixeira podem ser excluídos definitivamente",
+      });
+    }
+
+    const [filtros] = await withTimeout(
+      conn.execute("SELECT * FROM filtros WHERE maquina_id = ? FOR UPDATE", [
+        id,
+      ]),
+      4000,
+      "db_timeout"
+    );
+    if (filtros.length && !forcar) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        filtros: filtros.length,
+        error: `Equipamento tem ${filtros.length} troca(s) de filtro registrada(s); use ?forcar=1 para excluir mesmo assim`,
+      });
+    }
+
+    for (const filtro of filtros) {
+      await registrarAuditoria(conn, req, {
+        entidade: "filtro",
+        entidadeId: filtro.id,
+        acao: "remover",
+        antes: filtro,
+      });
+    }
+
+    await withTimeout(
+      conn.execute(
+        "DELETE FROM chamados_eventos WHERE chamado_id IN (SELECT id FROM chamados WHERE maquina_id = ?)",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await withTimeout(
+      conn.execute(
+        "DELETE FROM ordens_servico_tarefas WHERE ordem_id IN (SELECT id FROM ordens_servico WHERE maquina_id = ?)",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    for (const table of [
+      "filtros",
+      "chamados",
+      "ordens_servico",
+      "telemetria_leituras",
+      "dispositivos",
+      "notificacoes",
+      "maquinas_status_historico",
+      "maquinas_lixeira",
+      "maquinas_seriais_antigos",
+      "usuarios_equipamentos",
+    ]) {
+      await withTimeout(
+        conn.execute(`DELETE FROM ${table} WHERE maquina_id = ?`, [id]),
+        4000,
+        "db_timeout"
+      );
+    }
+    await withTimeout(
+      conn.execute("DELETE FROM maquinas WHERE id = ? LIMIT 1", [id]),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "equipamento",
+      entidadeId: id,
+      acao: "remover",
+      antes,
+    });
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      filtros_removidos: filtros.length,
+      message: "Equipamento excluído definitivamente",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[DELETE /equipamentos/lixeira/:id]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Vínculo com cliente (histórico e transferência)
+// linha do tempo de quem teve a máquina; só admin (expõe outros clientes)
+app.get("/equipamentos/:id/clientes", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const [exists] = await withTimeout(
+      pool.execute("SELECT id FROM maquinas WHERE id = ? LIMIT 1", [id]),
+      4000,
+      "db_timeout"
+    );
+    if (!exists.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          ue.id,
+          ue.usuario_id,
+          u.name AS usuario_nome,
+          u.email AS usuario_email,
+          ue.inicio,
+          ue.fim,
+          ue.motivo,
+          ${MODULOS.map((mod) => `ue.${mod}`).join(", ")},
+          TIMESTAMPDIFF(DAY, ue.inicio, COALESCE(ue.fim, NOW())) AS dias
+        FROM usuarios_equipamentos ue
+        LEFT JOIN users u ON u.id = ue.usuario_id
+        WHERE ue.maquina_id = ?
+        ORDER BY ue.inicio DESC, ue.id DESC
+        `,
+        [id]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      maquina_id: id,
+      atual: rows.find((r) => r.fim == null) || null,
+      data: rows.map((r) => ({ ...r, dias: Number(r.dias) })),
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id/clientes]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+/**
+ * Passa a máquina para outro cliente: encerra o vínculo atual e abre
+ * um novo com o motivo. Módulos não informados seguem os do vínculo atual.
+ */
+app.post("/equipamentos/:id/transferir", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const body = req.body || {};
+    const usuarioId = Number(body.usuario_id);
+    if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'usuario_id' é obrigatório" });
+    }
+    const motivo = parseMotivo(body.motivo);
+    if (!motivo) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'motivo' é obrigatório" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "equipamento", id);
+    if (!antes || Number(antes.status) === 3) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+    if (Number(antes.usuario_id) === usuarioId) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: "Equipamento já está vinculado a este cliente",
+      });
+    }
+
+    const [cliente] = await withTimeout(
+      conn.execute("SELECT id FROM users WHERE id = ? LIMIT 1", [usuarioId]),
+      4000,
+      "db_timeout"
+    );
+    if (!cliente.length) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cliente não encontrado" });
+    }
+
+    await replaceUserEquipModules(conn, {
+      usuario_id: usuarioId,
+      maquina_id: id,
+      motivo,
+      ...Object.fromEntries(
+        MODULOS.filter((mod) => typeof body[mod] !== "undefined").map((mod) => [
+          mod,
+          body[mod],
+        ])
+      ),
+    });
+
+    await registrarAuditoria(conn, req, {
+      entidade: "equipamento",
+      entidadeId: id,
+      acao: "atualizar",
+      antes,
+      depois: await auditSnapshot(conn, "equipamento", id),
+    });
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      usuario_anterior_id: antes.usuario_id ?? null,
+      usuario_id: usuarioId,
+      message: "Equipamento transferido",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /equipamentos/:id/transferir]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.get("/equipamentos/:id/modules", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: "ID inválido" });
+
+    // garantir que a máquina existe (no escopo do usuário)
+    if (!(await canAccessMaquina(pool, req.user, id))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado" });
+    }
+
+    const data = await getMaquinaModules(pool, id);
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    console.error("Erro em GET /equipamentos/:id/modules:", e);
+    return res.status(500).json({ error: "Erro ao buscar módulos" });
+  }
+});
+
+// detalhe: cidade, modelo, cliente atual, módulos (/modules) e última troca
+app.get("/equipamentos/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const scope = maquinaScope(req.user);
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          m.id,
+          m.nome,
+          m.serialNumber,
+          m.numeroNotaFiscal,
+          m.numeroSerieEquipamento,
+          m.tipo_id,
+          t.nome AS modelo_nome,
+          m.cidade_id,
+          c.nome AS cidade_nome,
+          c.uf   AS cidade_uf,
+          m.cep,
+          m.bairro,
+          m.endereco,
+          m.numero,
+          m.complemento,
+          m.data_instalacao,
+          m.status,
+          m.observacao,
+          m.intervalo_troca_dias,
+          COALESCE(m.intervalo_troca_dias, t.intervalo_troca_dias, ?) AS intervalo_efetivo_dias,
+          m.created_at,
+          m.updated_at
+        FROM maquinas m
+        LEFT JOIN tipos t   ON t.id = m.tipo_id
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        WHERE m.id = ?
+          AND ${scope.sql}
+          ${isAdmin(req.user) ? "" : "AND m.status <> 3"}
+        LIMIT 1
+        `,
+        [FILTRO_INTERVALO_PADRAO_DIAS, id, ...scope.params]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const modulos = await getMaquinaModules(pool, id);
+
+    const [[cliente], [ultimoFiltro]] = await Promise.all([
+      modulos.usuario_id
+        ? withTimeout(
+            pool.execute(
+              "SELECT id, name, email, telefone FROM users WHERE id = ? LIMIT 1",
+              [modulos.usuario_id]
+            ),
+            4000,
+            "db_timeout"
+          ).then(([r]) => r)
+        : [],
+      withTimeout(
+        pool.execute(
+          `
+          SELECT id, tipo, nome, data, vazao, created_at
+          FROM filtros
+          WHERE maquina_id = ?
+          ORDER BY data DESC, updated_at DESC, id DESC
+          LIMIT 1
+          `,
+          [id]
+        ),
+        4000,
+        "db_timeout"
+      ).then(([r]) => r),
+    ]);
+
+    const m = rows[0];
+    return res.json({
+      ok: true,
+      data: {
+        ...m,
+        status_label: STATUS_LABELS[m.status] ?? null,
+        cliente: cliente || null,
+        modulos,
+        ultimo_filtro: ultimoFiltro || null,
+      },
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Cadastro de equipamento (POST /equipamentos e importação CSV)
+
+/**
+ * CEP normalizado + cidade/UF/bairro/endereço completados pelo provider.
+ * Consulta HTTP: fica fora de transação. -> { error } ou { cep, addr }
+ */
+async function resolverEnderecoEquipamento(body, consultarCep) {
+  const { cep, cidade, cidade_nome, uf, bairro, endereco } = body || {};
+  const cepNorm = normalizeCep(cep);
+  if (cepNorm.error) return { error: cepNorm.error };
+  const addr = await completarEnderecoPorCep(
+    {
+      cep: cepNorm.value,
+      cidade: cidade ?? cidade_nome,
+      uf,
+      bairro,
+      endereco,
+    },
+    consultarCep
+  );
+  return { cep: cepNorm.value, addr };
+}
+
+/**
+ * Valida o corpo de um cadastro e resolve CEP/cidade.
+ * -> { status, error } ou { values } pronto para inserirEquipamento.
+ * `db` pode ser o pool ou a conexão da transação; criarCidade: false não
+ * grava cidade nova (dry run); `endereco` = resolverEnderecoEquipamento já feito.
+ */
+async function prepararEquipamento(
+  db,
+  body,
+  { criarCidade = true, endereco: enderecoResolvido = null } = {}
+) {
+  const {
+    tipo_id,
+    nome,
+    serialNumber,
+    numeroNotaFiscal,
+    numeroSerieEquipamento,
+    numero,
+    complemento,
+    data_instalacao,
+    status,
+    observacao,
+    usuario_id,
+    agua_gelada = 1,
+    agua_quente = 1,
+    agua_pet = 1,
+    aspersor = 0,
+    intervalo_troca_dias,
+    motivo,
+  } = body || {};
+
+  const missing = [];
+  if (tipo_id == null) missing.push("tipo_id");
+  if (!nome) missing.push("nome");
+  if (!serialNumber) missing.push("serialNumber");
+  if (!data_instalacao) missing.push("data_instalacao");
+  if (status == null) missing.push("status");
+
+  if (missing.length) {
+    return {
+      status: 400,
+      error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
+    };
+  }
+
+  if (!isValidISODate(data_instalacao)) {
+    return { status: 400, error: "data_instalacao inválida (YYYY-MM-DD)" };
+  }
+  const tipoId = Number(tipo_id);
+  if (!Number.isInteger(tipoId) || tipoId <= 0) {
+    return { status: 400, error: "tipo_id inválido" };
+  }
+  let usuarioId = null;
+  if (usuario_id != null && String(usuario_id).trim() !== "") {
+    usuarioId = Number(usuario_id);
+    if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
+      return { status: 400, error: "usuario_id inválido" };
+    }
+  }
+
+  const statusCode = normalizeStatusToCode(status);
+  if (statusCode === 3) {
+    return { status: 400, error: "Equipamento novo não pode nascer deletado" };
+  }
+  const intervalo = parseIntervaloDias(intervalo_troca_dias);
+  if (intervalo.error) return { status: 400, error: intervalo.error };
+
+  // modelo e cliente precisam existir (senão o INSERT falha ou vincula a ninguém)
+  const [[refs]] = await withTimeout(
+    db.execute(
+      `
+      SELECT
+        EXISTS (SELECT 1 FROM tipos WHERE id = ?) AS tipo,
+        EXISTS (SELECT 1 FROM users WHERE id = ?) AS usuario
+      `,
+      [tipoId, usuarioId ?? 0]
+    ),
+    4000,
+    "db_timeout"
+  );
+  if (!Number(refs.tipo)) {
+    return { status: 400, error: "tipo_id não encontrado" };
+  }
+  if (usuarioId != null && !Number(refs.usuario)) {
+    return { status: 400, error: "usuario_id não encontrado" };
+  }
+
+  // unicidade por serialNumber
+  const [dups] = await withTimeout(
+    db.execute(
+      `
+      SELECT id
+      FROM maquinas
+      WHERE TRIM(serialNumber) = TRIM(?)
+        AND status <> 3
+      LIMIT 1
+      `,
+      [serialNumber]
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  if (dups.length) {
+    return { status: 409, error: "serialNumber já cadastrado" };
+  }
+
+  // ===== CEP: normaliza e completa cidade/UF/bairro/endereço omitidos
+  const resolvido =
+    enderecoResolvido || (await resolverEnderecoEquipamento(body));
+  if (resolvido.error) return { status: 400, error: resolvido.error };
+  const { addr } = resolvido;
+
+  // ===== Resolver cidade (opcional)
+  const cidadeTexto = (addr.cidade ?? "").toString().trim();
+  let cidadeId = null;
+  const ufFinal =
+    String(addr.uf || "")
+      .trim()
+      .toUpperCase() || null;
+
+  if (cidadeTexto) {
+    const parsed = parseCidadeUf(cidadeTexto, ufFinal);
+
+    try {
+      const city = await ensureCityByName(db, parsed.nome, parsed.uf, {
+        criar: criarCidade,
+      });
+      cidadeId = city?.id ?? null;
+    } catch (err) {
+      const msg = String(err?.message || err);
+      if (err && err._badRequest) return { status: 400, error: msg };
+      if (msg.includes("db_timeout")) throw err;
+      return { status: 409, error: msg };
+    }
+  }
+
+  const observacaoFinal =
+    observacao != null && String(observacao).trim()
+      ? String(observacao).trim()
+      : null;
+
+  return {
+    values: {
+      cidadeId,
+      tipoId,
+      nome,
+      serialNumber,
+      numeroNotaFiscal: numeroNotaFiscal || null,
+      numeroSerieEquipamento: numeroSerieEquipamento || null,
+      endereco: addr.endereco,
+      numero: numero || null,
+      bairro: addr.bairro,
+      cep: resolvido.cep,
+      complemento: complemento || null,
+      dataInstalacao: data_instalacao,
+      status: statusCode,
+      observacao: observacaoFinal,
+      intervaloTrocaDias: intervalo.value,
+      motivo: parseMotivo(motivo),
+      usuarioId,
+      modulos: { agua_gelada, agua_quente, agua_pet, aspersor },
+    },
+  };
+}
+
+/** INSERT + histórico de status + vínculo + auditoria (na transação) -> id */
+async function inserirEquipamento(conn, req, v) {
+  const [result] = await withTimeout(
+    conn.execute(
+      `
+      INSERT INTO maquinas
+        (cidade_id, tipo_id, nome, serialNumber,
+         numeroNotaFiscal, numeroSerieEquipamento,
+         endereco, numero, bairro, cep, complemento,
+         data_instalacao, status, observacao, intervalo_troca_dias,
+         created_at, updated_at)
+      VALUES
+        (?, ?, ?, ?,
+         ?, ?,
+         ?, ?, ?, ?, ?,
+         ?, ?, ?, ?,
+         NOW(), NOW())
+      `,
+      [
+        v.cidadeId,
+        v.tipoId,
+        v.nome,
+        v.serialNumber,
+        v.numeroNotaFiscal,
+        v.numeroSerieEquipamento,
+        v.endereco,
+        v.numero,
+        v.bairro,
+        v.cep,
+        v.complemento,
+        v.dataInstalacao,
+        v.status,
+        v.observacao,
+        v.intervaloTrocaDias,
+      ]
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  const maquinaId = result.insertId;
+
+  await registrarTransicaoStatus(conn, req, {
+    maquinaId,
+    anterior: null,
+    novo: v.status,
+    motivo: v.motivo,
+  });
+
+  // ===== vínculo + módulos (sem cliente, o aspersor fica na máquina)
+  await replaceUserEquipModules(conn, {
+    usuario_id: v.usuarioId,
+    maquina_id: maquinaId,
+    ...v.modulos,
+  });
+
+  await registrarAuditoria(conn, req, {
+    entidade: "equipamento",
+    entidadeId: maquinaId,
+    acao: "criar",
+    depois: await auditSnapshot(conn, "equipamento", maquinaId),
+  });
+
+  return maquinaId;
+}
+
+app.post("/equipamentos", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const prep = await prepararEquipamento(pool, req.body);
+    if (prep.error) {
+      return res.status(prep.status).json({ ok: false, error: prep.error });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const maquinaId = await inserirEquipamento(conn, req, prep.values);
+
+    await conn.commit();
+
+    return res.status(201).json({
+      ok: true,
+      id: maquinaId,
+      message: "Equipamento cadastrado com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /equipamentos]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Importação CSV de equipamentos
+// Cabeçalho com os mesmos campos do POST /equipamentos (sem diferenciar
+// maiúsculas). Cada linha passa por prepararEquipamento. dry_run=1 só valida;
+// senão grava tudo ou nada, ou pula as inválidas com ignorar_invalidas=1.
+const IMPORTACAO_MAX_LINHAS = 2000;
+// CEPs distintos a consultar (endereço incompleto) por arquivo: cada consulta
+// pode levar até CEP_HTTP_TIMEOUT_MS, e a requisição não pode passar do
+// timeout do proxy
+const IMPORTACAO_MAX_CEPS = 100;
+const IMPORTACAO_CEP_CONCORRENCIA = 5;
+const IMPORTACAO_CAMPOS = [
+  "tipo_id",
+  "nome",
+  "serialNumber",
+  "numeroNotaFiscal",
+  "numeroSerieEquipamento",
+  "cidade",
+  "uf",
+  "cep",
+  "bairro",
+  "endereco",
+  "numero",
+  "complemento",
+  "data_instalacao",
+  "status",
+  "observacao",
+  "usuario_id",
+  ...MODULOS,
+  "intervalo_troca_dias",
+  "motivo",
+];
+
+const IMPORTACAO_CAMPOS_POR_CHAVE = new Map(
+  IMPORTACAO_CAMPOS.map((c) => [c.toLowerCase(), c])
+);
+
+/** Como Promise.all(items.map(fn)), com no máximo `limite` em andamento */
+async function mapComLimite(items, limite, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limite, items.length) }, worker)
+  );
+  return out;
+}
+
+/** Linha do CSV -> corpo do POST (célula vazia = campo não informado) */
+function importacaoLinhaParaBody(row) {
+  const body = {};
+  for (const [col, value] of Object.entries(row)) {
+    const campo = IMPORTACAO_CAMPOS_POR_CHAVE.get(
+      String(col).trim().toLowerCase()
+    );
+    if (campo && value !== "") body[campo] = value;
+  }
+  return body;
+}
+
+app.post(
+  "/importacoes/equipamentos",
+  requireAdmin,
+  express.text({
+    type: ["text/csv", "text/plain", "application/csv"],
+    limit: "5mb",
+  }),
+  async (req, res) => {
+    let conn;
+    try {
+      const texto =
+        typeof req.body === "string" ? req.body : (req.body?.csv ?? "");
+      const opts = req.body && typeof req.body === "object" ? req.body : {};
+      const dryRun = toFlag(req.query.dry_run ?? opts.dry_run) === 1;
+      const ignorarInvalidas =
+        toFlag(req.query.ignorar_invalidas ?? opts.ignorar_invalidas) === 1;
+
+      const linhas = parseCsv(texto);
+      if (!linhas.length) {
+        return res.status(400).json({
+          ok: false,
+          error:
+            "CSV vazio: envie text/csv (ou JSON { csv }) com cabeçalho e ao menos uma linha.",
+        });
+      }
+      if (linhas.length > IMPORTACAO_MAX_LINHAS) {
+        return res.status(400).json({
+          ok: false,
+          error: `Máximo de ${IMPORTACAO_MAX_LINHAS} linhas por importação.`,
+        });
+      }
+
+      const erros = [];
+      const ids = [];
+      const seriais = new Set();
+
+      // 1) fora da transação: repetição no arquivo e CEP (consulta HTTP)
+      const candidatas = [];
+      const cepsConsulta = new Set();
+      for (let i = 0; i < linhas.length; i++) {
+        const linha = i + 2; // 1 = cabeçalho
+        const body = importacaoLinhaParaBody(linhas[i]);
+        const serial = String(body.serialNumber || "").trim();
+
+        if (serial && seriais.has(serial.toLowerCase())) {
+          erros.push({
+            linha,
+            serialNumber: serial,
+            error: "serialNumber repetido no arquivo",
+          });
+          continue;
+        }
+        if (serial) seriais.add(serial.toLowerCase());
+
+        const cep = normalizeCep(body.cep).value;
+        if (
+          cep &&
+          !enderecoCompleto({
+            ...body,
+            cidade: body.cidade ?? body.cidade_nome,
+          })
+        ) {
+          cepsConsulta.add(cep);
+        }
+        candidatas.push({ linha, body, serial });
+      }
+
+      if (cepsConsulta.size > IMPORTACAO_MAX_CEPS) {
+        return res.status(400).json({
+          ok: false,
+          error: `Máximo de ${IMPORTACAO_MAX_CEPS} CEPs diferentes a consultar por importação: informe cidade, bairro e endereço ou divida o arquivo.`,
+        });
+      }
+
+      // 1 consulta por CEP distinto, algumas em paralelo
+      const consultarCep = createCepCache();
+      const enderecos = await mapComLimite(
+        candidatas,
+        IMPORTACAO_CEP_CONCORRENCIA,
+        (c) => resolverEnderecoEquipamento(c.body, consultarCep)
+      );
+
+      const pendentes = [];
+      candidatas.forEach((c, i) => {
+        const endereco = enderecos[i];
+        if (endereco.error) {
+          erros.push({
+            linha: c.linha,
+            serialNumber: c.serial || null,
+            error: endereco.error,
+          });
+          return;
+        }
+        pendentes.push({ ...c, endereco });
+      });
+
+      if (!dryRun) {
+        conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+        await conn.beginTransaction();
+      }
+
+      // 2) validação com o banco (na transação, no modo real) + INSERT
+      for (const { linha, body, serial, endereco } of pendentes) {
+        const prep = await prepararEquipamento(conn || pool, body, {
+          criarCidade: !dryRun,
+          endereco,
+        });
+        if (prep.error) {
+          erros.push({
+            linha,
+            serialNumber: serial || null,
+            error: prep.error,
+          });
+          continue;
+        }
+        if (dryRun) continue;
+
+        // savepoint: falha no meio da linha não deixa resto gravado
+        await withTimeout(
+          conn.query("SAVEPOINT importacao_linha"),
+          4000,
+          "db_timeout"
+        );
+        try {
+          ids.push(await inserirEquipamento(conn, req, prep.values));
+        } catch (err) {
+          const msg = String(err?.message || err);
+          if (msg.includes("db_timeout")) throw err;
+          await withTimeout(
+            conn.query("ROLLBACK TO SAVEPOINT importacao_linha"),
+            4000,
+            "db_timeout"
+          );
+          erros.push({ linha, serialNumber: serial || null, error: msg });
+        }
+      }
+      erros.sort((a, b) => a.linha - b.linha);
+
+      if (dryRun) {
+        return res.json({
+          ok: true,
+          dry_run: true,
+          total: linhas.length,
+          validas: linhas.length - erros.length,
+          invalidas: erros.length,
+          erros,
+        });
+      }
+
+      if (erros.length && !ignorarInvalidas) {
+        await conn.rollback();
+        return res.status(400).json({
+          ok: false,
+          error: `Importação cancelada: ${erros.length} linha(s) inválida(s). Nada foi gravado.`,
+          total: linhas.length,
+          erros,
+        });
+      }
+
+      await conn.commit();
+
+      return res.status(201).json({
+        ok: true,
+        total: linhas.length,
+        importadas: ids.length,
+        ignoradas: erros.length,
+        ids,
+        erros,
+      });
+    } catch (e) {
+      if (conn) await conn.rollback().catch(() => {});
+      const msg = String(e?.message || e);
+      const isTimeout = msg.includes("db_timeout");
+      console.error("[POST /importacoes/equipamentos]", e);
+      return res
+        .status(isTimeout ? 504 : 500)
+        .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+    } finally {
+      if (conn) conn.release();
+    }
+  }
+);
+
+app.get("/equipamentos/:id/filtros/ultimo", async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const scope = maquinaScope(req.user);
+    const [rows] = await withTimeout(
+      pool.execute(
+        `
+        SELECT
+        COALESCE(f.data, m.data_instalacao) AS data
+      FROM maquinas m
+      LEFT JOIN filtros f
+        ON f.maquina_id = m.id
+      WHERE m.id = ?
+        AND ${scope.sql}
+      ORDER BY f.data DESC, f.updated_at DESC
+      LIMIT 1;
+        `,
+        [maquinaId, ...scope.params]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows.length ? rows[0].data : null,
+    });
+  } catch (e) {
+    console.error("[GET /equipamentos/:id/filtros/ultimo]", e);
+    return res.status(500).json({ ok: false, error: "Erro ao buscar troca" });
+  }
+});
+
+app.post("/equipamentos/:id/filtros", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const { errors, values } = validateFiltroInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: errors.join("; ") });
+    }
+
+    // (opcional mas bom) valida se a máquina existe
+    const [exists] = await withTimeout(
+      pool.execute("SELECT id FROM maquinas WHERE id = ? LIMIT 1", [maquinaId]),
+      4000,
+      "db_timeout"
+    );
+    if (!exists.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [result] = await withTimeout(
+      conn.execute(
+        `
+        INSERT INTO filtros (maquina_id, tipo, nome, data, vazao, created_by, updated_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        `,
+        [
+          maquinaId,
+          values.tipo,
+          values.nome,
+          values.data,
+          values.vazao,
+          req.user.id,
+          req.user.id,
+        ]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "filtro",
+      entidadeId: result.insertId,
+      acao: "criar",
+      depois: await auditSnapshot(conn, "filtro", result.insertId),
+    });
+
+    await conn.commit();
+
+    return res.status(201).json({
+      ok: true,
+      id: result.insertId,
+      maquina_id: maquinaId,
+      message: "Troca de filtro registrada com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /equipamentos/:id/filtros]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * JOIN do cliente que tinha a máquina no dia da troca (alias "f" = filtros).
+ * Dia com transferência: fica o vínculo mais recente daquele dia.
+ * f.data é um dia de APP_TZ; inicio/fim (UTC) passam para o mesmo fuso.
+ */
+function filtroClienteJoin() {
+  const hoje = todayISO();
+  const inicio = utcParaLocalSql("h.inicio", VINCULOS_DESDE, hoje);
+  const fim = utcParaLocalSql("h.fim", VINCULOS_DESDE, hoje);
+  return `
+  LEFT JOIN usuarios_equipamentos fue ON fue.id = (
+    SELECT h.id FROM usuarios_equipamentos h
+    WHERE h.maquina_id = f.maquina_id
+      AND ${inicio} < DATE_ADD(f.data, INTERVAL 1 DAY)
+      AND (h.fim IS NULL OR ${fim} >= f.data)
+    ORDER BY h.inicio DESC, h.id DESC
+    LIMIT 1
+  )
+  LEFT JOIN users fcli ON fcli.id = fue.usuario_id
+`;
+}
+// offsets de APP_TZ cobertos a partir daqui (antes vale o da primeira faixa)
+const VINCULOS_DESDE = "2000-01-01";
+
+app.get("/equipamentos/:id/filtros", async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const { limit, offset } = parseLimitOffset(req);
+    const { de, ate } = req.query;
+    if ((de && !isValidISODate(de)) || (ate && !isValidISODate(ate))) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Use 'de'/'ate' no formato YYYY-MM-DD" });
+    }
+
+    if (!(await canAccessMaquina(pool, req.user, maquinaId))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const where = ["f.maquina_id = ?"];
+    const params = [maquinaId];
+    if (de) {
+      where.push("f.data >= ?");
+      params.push(de);
+    }
+    if (ate) {
+      where.push("f.data <= ?");
+      params.push(ate);
+    }
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM filtros f WHERE ${where.join(" AND ")}`,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          f.id,
+          f.maquina_id,
+          f.tipo,
+          f.nome,
+          f.data,
+          f.vazao,
+          f.created_by,
+          cu.name AS created_by_nome,
+          f.updated_by,
+          uu.name AS updated_by_nome,
+          f.created_at,
+          f.updated_at
+          ${isAdmin(req.user) ? ", fue.usuario_id AS cliente_id, fcli.name AS cliente_nome" : ""}
+        FROM filtros f
+        LEFT JOIN users cu ON cu.id = f.created_by
+        LEFT JOIN users uu ON uu.id = f.updated_by
+        ${isAdmin(req.user) ? filtroClienteJoin() : ""}
+        WHERE ${where.join(" AND ")}
+        ORDER BY f.data DESC, f.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id/filtros]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.put(
+  "/equipamentos/:id/filtros/:filtroId",
+  requireAdmin,
+  async (req, res) => {
+    let conn;
+    try {
+      const maquinaId = Number(req.params.id);
+      const filtroId = Number(req.params.filtroId);
+      if (
+        !Number.isInteger(maquinaId) ||
+        maquinaId <= 0 ||
+        !Number.isInteger(filtroId) ||
+        filtroId <= 0
+      ) {
+        return res.status(400).json({ ok: false, error: "ID inválido" });
+      }
+
+      const { errors, values } = validateFiltroInput(req.body, {
+        partial: true,
+      });
+      if (errors.length) {
+        return res.status(400).json({ ok: false, error: errors.join("; ") });
+      }
+
+      const fields = Object.keys(values).map((k) => `${k} = ?`);
+      if (!fields.length) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Nenhum campo para atualizar" });
+      }
+
+      conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+      await conn.beginTransaction();
+
+      const antes = await auditSnapshot(conn, "filtro", filtroId);
+      if (!antes || Number(antes.maquina_id) !== maquinaId) {
+        await conn.rollback();
+        return res
+          .status(404)
+          .json({ ok: false, error: "Troca de filtro não encontrada" });
+      }
+
+      await withTimeout(
+        conn.execute(
+          `
+          UPDATE filtros
+             SET ${fields.join(", ")},
+                 updated_by = ?,
+                 updated_at = NOW()
+           WHERE id = ?
+           LIMIT 1
+          `,
+          [...Object.values(values), req.user.id, filtroId]
+        ),
+        4000,
+        "db_timeout"
+      );
+
+      await registrarAuditoria(conn, req, {
+        entidade: "filtro",
+        entidadeId: filtroId,
+        acao: "atualizar",
+        antes,
+        depois: await auditSnapshot(conn, "filtro", filtroId),
+      });
+
+      await conn.commit();
+
+      return res.json({
+        ok: true,
+        id: filtroId,
+        maquina_id: maquinaId,
+        message: "Troca de filtro atualizada com sucesso",
+      });
+    } catch (e) {
+      if (conn) await conn.rollback().catch(() => {});
+      const msg = String(e?.message || e);
+      const isTimeout = msg.includes("db_timeout");
+      console.error("[PUT /equipamentos/:id/filtros/:filtroId]", e);
+      return res
+        .status(isTimeout ? 504 : 500)
+        .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+    } finally {
+      if (conn) conn.release();
+    }
+  }
+);
+
+app.delete(
+  "/equipamentos/:id/filtros/:filtroId",
+  requireAdmin,
+  async (req, res) => {
+    let conn;
+    try {
+      const maquinaId = Number(req.params.id);
+      const filtroId = Number(req.params.filtroId);
+      if (
+        !Number.isInteger(maquinaId) ||
+        maquinaId <= 0 ||
+        !Number.isInteger(filtroId) ||
+        filtroId <= 0
+      ) {
+        return res.status(400).json({ ok: false, error: "ID inválido" });
+      }
+
+      conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+      await conn.beginTransaction();
+
+      const antes = await auditSnapshot(conn, "filtro", filtroId);
+      if (!antes || Number(antes.maquina_id) !== maquinaId) {
+        await conn.rollback();
+        return res
+          .status(404)
+          .json({ ok: false, error: "Troca de filtro não encontrada" });
+      }
+
+      await withTimeout(
+        conn.execute("DELETE FROM filtros WHERE id = ? LIMIT 1", [filtroId]),
+        4000,
+        "db_timeout"
+      );
+
+      await registrarAuditoria(conn, req, {
+        entidade: "filtro",
+        entidadeId: filtroId,
+        acao: "remover",
+        antes,
+      });
+
+      await conn.commit();
+
+      return res.json({
+        ok: true,
+        id: filtroId,
+        maquina_id: maquinaId,
+        message: "Troca de filtro removida",
+      });
+    } catch (e) {
+      if (conn) await conn.rollback().catch(() => {});
+      const msg = String(e?.message || e);
+      const isTimeout = msg.includes("db_timeout");
+      console.error("[DELETE /equipamentos/:id/filtros/:filtroId]", e);
+      return res
+        .status(isTimeout ? 504 : 500)
+        .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+    } finally {
+      if (conn) conn.release();
+    }
+  }
+);
+
+// ===== Vencimento de filtros
+// intervalo efetivo = maquinas.intervalo_troca_dias > tipos.intervalo_troca_dias > padrão
+const FILTRO_INTERVALO_PADRAO_DIAS = Number(
+  process.env.FILTRO_INTERVALO_PADRAO_DIAS || 180
+);
+
+/**
+ * Subquery (alias livre) com uma linha por máquina não deletada:
+ * última troca (ou instalação), intervalo efetivo, próxima troca e dias restantes.
+ * Recebe um escopo de maquinaScope() para restringir clientes.
+ */
+function filtroVencimentoSql(scope) {
+  return {
+    sql: `
+      SELECT
+        b.*,
+        DATE_ADD(b.ultima_troca, INTERVAL b.intervalo_dias DAY) AS proxima_troca,
+        DATEDIFF(DATE_ADD(b.ultima_troca, INTERVAL b.intervalo_dias DAY), ?) AS dias_restantes
+      FROM (
+        SELECT
+          m.id,
+          m.nome,
+          m.serialNumber,
+          m.status,
+          m.tipo_id,
+          t.nome AS modelo_nome,
+          m.cidade_id,
+          c.nome AS cidade_nome,
+          c.uf   AS cidade_uf,
+          m.bairro,
+          m.data_instalacao,
+          ue.usuario_id AS cliente_id,
+          u.name  AS cliente_nome,
+          u.email AS cliente_email,
+          lf.ultima_data AS ultima_troca_registrada,
+          COALESCE(lf.ultima_data, m.data_instalacao) AS ultima_troca,
+          COALESCE(m.intervalo_troca_dias, t.intervalo_troca_dias, ?) AS intervalo_dias
+        FROM maquinas m
+        LEFT JOIN tipos t   ON t.id = m.tipo_id
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        LEFT JOIN (
+          SELECT maquina_id, MAX(data) AS ultima_data
+          FROM filtros
+          GROUP BY maquina_id
+        ) lf ON lf.maquina_id = m.id
+        LEFT JOIN (
+          SELECT maquina_id, MAX(usuario_id) AS usuario_id
+          FROM usuarios_equipamentos
+          WHERE fim IS NULL
+          GROUP BY maquina_id
+        ) ue ON ue.maquina_id = m.id
+        LEFT JOIN users u ON u.id = ue.usuario_id
+        WHERE m.status <> 3
+          AND ${scope.sql}
+      ) b
+    `,
+    // "hoje" no fuso da aplicação, como validateFiltroInput e os avisos
+    params: [todayISO(), FILTRO_INTERVALO_PADRAO_DIAS, ...scope.params],
+  };
+}
+
+const VENCIMENTO_SORTS = {
+  proxima_troca: "v.proxima_troca",
+  dias_restantes: "v.dias_restantes",
+  ultima_troca: "v.ultima_troca",
+  nome: "v.nome",
+  cliente: "v.cliente_nome",
+  cidade: "v.cidade_nome",
+};
+
+// ?dias=30 -> vencidas + as que vencem nos próximos 30 dias
+app.get("/filtros/vencimentos", async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req, 50, 500);
+
+    let dias = Number(req.query.dias ?? 30);
+    if (!Number.isInteger(dias) || dias < 0) dias = 30;
+
+    const sortCol =
+      VENCIMENTO_SORTS[String(req.query.sort || "")] || "v.proxima_troca";
+    const order =
+      String(req.query.order || "").toLowerCase() === "desc" ? "DESC" : "ASC";
+
+    // somente_vencidos=1 ignora "dias" e traz só o que já passou da data
+    const onlyOverdue = String(req.query.somente_vencidos || "") === "1";
+
+    const base = filtroVencimentoSql(maquinaScope(req.user));
+    const where = onlyOverdue
+      ? "v.dias_restantes < 0"
+      : "v.dias_restantes <= ?";
+    const whereParams = onlyOverdue ? [] : [dias];
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM (${base.sql}) v WHERE ${where}`,
+        [...base.params, ...whereParams]
+      ),
+      20000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT v.*, (v.dias_restantes < 0) AS vencido
+        FROM (${base.sql}) v
+        WHERE ${where}
+        ORDER BY ${sortCol} ${order}, v.id ASC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        [...base.params, ...whereParams]
+      ),
+      20000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      dias,
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /filtros/vencimentos]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// sair da lixeira só pelo restaurar (volta status e vínculo guardados)
+const EQUIPAMENTO_NA_LIXEIRA = {
+  ok: false,
+  error:
+    "Equipamento na lixeira: use POST /equipamentos/:id/restaurar antes de editar.",
+};
+
+app.put("/equipamentos/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const body = req.body || {};
+    const {
+      tipo_id,
+      nome,
+      serialNumber,
+      numeroNotaFiscal,
+      numeroSerieEquipamento,
+      cidade,
+      cidade_nome,
+      uf,
+      cep,
+      bairro,
+      endereco,
+      numero,
+      complemento,
+      data_instalacao,
+      status,
+      observacao,
+      usuario_id,
+      agua_gelada,
+      agua_quente,
+      agua_pet,
+      aspersor,
+      intervalo_troca_dias,
+      motivo,
+    } = body;
+
+    // lixeira só pelo DELETE (guarda status/vínculo para restaurar)
+    if (typeof status !== "undefined" && normalizeStatusToCode(status) === 3) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          "Para excluir, use DELETE /equipamentos/:id?hard=1 (vai para a lixeira).",
+      });
+    }
+
+    // 1) atualização simples de status (+ motivo opcional)
+    const onlyStatusUpdate =
+      typeof status !== "undefined" &&
+      Object.keys(body).every((k) => k === "status" || k === "motivo");
+
+    if (onlyStatusUpdate) {
+      const code = normalizeStatusToCode(status);
+      conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+      await conn.beginTransaction();
+
+      const antes = await auditSnapshot(conn, "equipamento", id);
+      if (!antes) {
+        await conn.rollback();
+        return res.status(404).json({ ok: false, error: "Não encontrado" });
+      }
+      if (Number(antes.status) === 3) {
+        await conn.rollback();
+        return res.status(409).json(EQUIPAMENTO_NA_LIXEIRA);
+      }
+
+      await withTimeout(
+        conn.execute(
+          "UPDATE maquinas SET status = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+          [code, id]
+        ),
+        4000,
+        "db_timeout"
+      );
+      await registrarTransicaoStatus(conn, req, {
+        maquinaId: id,
+        anterior: antes.status,
+        novo: code,
+        motivo: parseMotivo(motivo),
+      });
+
+      await registrarAuditoria(conn, req, {
+        entidade: "equipamento",
+        entidadeId: id,
+        acao: "atualizar",
+        antes,
+        depois: await auditSnapshot(conn, "equipamento", id),
+      });
+
+      await conn.commit();
+
+      return res.json({
+        ok: true,
+        id,
+        mode: "status-only",
+        message: "Status atualizado com sucesso",
+      });
+    }
+
+    // 2) atualização completa
+    const missing = [];
+    if (tipo_id == null) missing.push("tipo_id");
+    if (!nome) missing.push("nome");
+    if (!serialNumber) missing.push("serialNumber");
+    if (!data_instalacao) missing.push("data_instalacao");
+    if (status == null) missing.push("status");
+
+    if (missing.length) {
+      return res.status(400).json({
+        ok: false,
+        error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
+      });
+    }
+
+    const statusCode = normalizeStatusToCode(status);
+    const intervalo = parseIntervaloDias(intervalo_troca_dias);
+    if (intervalo.error) {
+      return res.status(400).json({ ok: false, error: intervalo.error });
+    }
+
+    // duplicidade de serialNumber
+    const [dups] = await withTimeout(
+      pool.execute(
+        "SELECT id FROM maquinas WHERE TRIM(serialNumber) = TRIM(?) AND id <> ? LIMIT 1",
+        [serialNumber, id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    if (dups.length) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "serialNumber já cadastrado" });
+    }
+
+    // ===== CEP: normaliza e completa cidade/UF/bairro/endereço omitidos
+    const cepNorm = normalizeCep(cep);
+    if (cepNorm.error) {
+      return res.status(400).json({ ok: false, error: cepNorm.error });
+    }
+    const addr = await completarEnderecoPorCep({
+      cep: cepNorm.value,
+      cidade: cidade ?? cidade_nome,
+      uf,
+      bairro,
+      endereco,
+    });
+
+    // ===== Resolver cidade (opcional)
+    const cidadeTexto = (addr.cidade ?? "").toString().trim();
+    let cidadeId = null;
+    const ufFinal =
+      String(addr.uf || "")
+        .trim()
+        .toUpperCase() || null;
+
+    if (cidadeTexto) {
+      const parsed = parseCidadeUf(cidadeTexto, ufFinal);
+
+      try {
+        const city = await ensureCityByName(pool, parsed.nome, parsed.uf);
+        cidadeId = city?.id ?? null;
+      } catch (err) {
+        const msg = String(err?.message || err);
+        if (err && err._badRequest)
+          return res.status(400).json({ ok: false, error: msg });
+        return res.status(409).json({ ok: false, error: msg });
+      }
+    }
+
+    // observacao só é alterada se vier no payload
+    const observacaoProvided = typeof observacao !== "undefined";
+    const observacaoFinal =
+      observacao != null && String(observacao).trim()
+        ? String(observacao).trim()
+        : null;
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "equipamento", id);
+    if (!antes) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+    if (Number(antes.status) === 3) {
+      await conn.rollback();
+      return res.status(409).json(EQUIPAMENTO_NA_LIXEIRA);
+    }
+
+    // ===== UPDATE maquinas
+    await withTimeout(
+      conn.execute(
+        `
+        UPDATE maquinas
+           SET cidade_id = ?,
+               tipo_id = ?,
+               nome = ?,
+               serialNumber = ?,
+               numeroNotaFiscal = ?,
+               numeroSerieEquipamento = ?,
+               endereco = ?,
+               numero = ?,
+               bairro = ?,
+               cep = ?,
+               complemento = ?,
+               data_instalacao = ?,
+               status = ?,
+               observacao = ${observacaoProvided ? "?" : "observacao"},
+               intervalo_troca_dias = ${intervalo.provided ? "?" : "intervalo_troca_dias"},
+               updated_at = NOW()
+         WHERE id = ?
+         LIMIT 1
+        `,
+        [
+          cidadeId,
+          Number(tipo_id),
+          nome,
+          serialNumber,
+          numeroNotaFiscal || null,
+          numeroSerieEquipamento || null,
+          addr.endereco,
+          numero || null,
+          addr.bairro,
+          cepNorm.value,
+          complemento || null,
+          data_instalacao,
+          statusCode,
+          ...(observacaoProvided ? [observacaoFinal] : []),
+          ...(intervalo.provided ? [intervalo.value] : []),
+          id,
+        ]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await registrarTransicaoStatus(conn, req, {
+      maquinaId: id,
+      anterior: antes.status,
+      novo: statusCode,
+      motivo: parseMotivo(motivo),
+    });
+
+    // serial corrigido: o antigo continua valendo no QR das etiquetas (/p/)
+    const serialAntigo = String(antes.serialNumber ?? "").trim();
+    if (serialAntigo && serialAntigo !== String(serialNumber).trim()) {
+      await withTimeout(
+        conn.execute(
+          "INSERT INTO maquinas_seriais_antigos (maquina_id, serialNumber, created_at) VALUES (?, ?, NOW())",
+          [id, serialAntigo]
+        ),
+        4000,
+        "db_timeout"
+      );
+    }
+
+    // ===== vínculo + módulos
+    // sem usuario_id no payload, módulos informados valem para o cliente atual
+    // (ou, sem cliente vinculado, para a própria máquina)
+    let vinculoUsuarioId = usuario_id;
+    if (
+      vinculoUsuarioId == null &&
+      MODULOS.some((mod) => typeof body[mod] !== "undefined")
+    ) {
+      vinculoUsuarioId = antes.usuario_id;
+    }
+
+    await replaceUserEquipModules(conn, {
+      usuario_id: vinculoUsuarioId,
+      maquina_id: id,
+      agua_gelada,
+      agua_quente,
+      agua_pet,
+      aspersor,
+    });
+
+    await registrarAuditoria(conn, req, {
+      entidade: "equipamento",
+      entidadeId: id,
+      acao: "atualizar",
+      antes,
+      depois: await auditSnapshot(conn, "equipamento", id),
+    });
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      mode: "full-update",
+      message: "Equipamento atualizado com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[PUT /equipamentos/:id]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.delete("/equipamentos/:id", requireAdmin, async (req, res) => {
+  const rawId = req.params.id;
+  const { hard } = req.query;
+
+  const id = Number(rawId);
+  if (!id || Number.isNaN(id)) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "ID inválido para equipamento." });
+  }
+
+  const isHard = String(hard) === "1";
+  const motivo = parseMotivo(req.body?.motivo ?? req.query.motivo);
+
+  let conn;
+  try {
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "equipamento", id);
+    if (!antes) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    if (isHard) {
+      // =========================
+      // DELETE LÓGICO DEFINITIVO
+      // =========================
+      // status = 3  => "Deletado"
+      // remove vínculo com usuário
+      // mantém histórico (informacoes)
+      // status/vínculo anteriores vão pra lixeira (restaurar)
+      // =========================
+
+      if (Number(antes.status) !== 3) {
+        await withTimeout(
+          conn.execute(
+            `
+            REPLACE INTO maquinas_lixeira
+              (maquina_id, status_anterior, usuario_id, agua_gelada, agua_quente, agua_pet, aspersor, motivo, deleted_by, deleted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            `,
+            [
+              id,
+              Number(antes.status),
+              antes.usuario_id,
+              ...MODULOS.map((mod) => antes[mod]),
+              motivo,
+              req.user.id,
+            ]
+          ),
+          4000,
+          "db_timeout"
+        );
+      }
+
+      await withTimeout(
+        conn.execute(
+          "UPDATE maquinas SET status = 3, updated_at = NOW() WHERE id = ?",
+          [id]
+        ),
+        4000,
+        "db_timeout"
+      );
+
+      // encerra vínculo com cliente (pra sumir do dash; fica no histórico)
+      await encerrarVinculos(conn, { maquinaId: id });
+    } else {
+      // =========================
+      // DESATIVAR (status = 2)
+      // =========================
+      await withTimeout(
+        conn.execute(
+          "UPDATE maquinas SET status = ?, updated_at = NOW() WHERE id = ?",
+          ["2", id]
+        ),
+        4000,
+        "db_timeout"
+      );
+    }
+
+    await registrarTransicaoStatus(conn, req, {
+      maquinaId: id,
+      anterior: antes.status,
+      novo: isHard ? 3 : 2,
+      motivo,
+    });
+
+    await registrarAuditoria(conn, req, {
+      entidade: "equipamento",
+      entidadeId: id,
+      acao: "remover",
+      antes,
+      depois: await auditSnapshot(conn, "equipamento", id),
+    });
+
+    await conn.commit();
+
+    if (isHard) {
+      return res.json({
+        ok: true,
+        hard: true,
+        deleted: true,
+        message: "Equipamento removido da visão do cliente.",
+      });
+    }
+    return res.json({
+      ok: true,
+      hard: false,
+      message: "Equipamento desativado.",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[DELETE /equipamentos/:id]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Histórico de status (consulta e relatório)
+app.get("/equipamentos/:id/historico-status", async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const { limit, offset } = parseLimitOffset(req);
+
+    if (!(await canAccessMaquina(pool, req.user, maquinaId))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        "SELECT COUNT(*) AS total FROM maquinas_status_historico WHERE maquina_id = ?",
+        [maquinaId]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          h.id,
+          h.status_anterior,
+          h.status_novo,
+          h.motivo,
+          h.usuario_id,
+          u.name AS usuario_nome,
+          h.created_at
+        FROM maquinas_status_historico h
+        LEFT JOIN users u ON u.id = h.usuario_id
+        WHERE h.maquina_id = ?
+        ORDER BY h.created_at DESC, h.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        [maquinaId]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      maquina_id: maquinaId,
+      data: rows.map((r) => ({
+        ...r,
+        status_anterior_label:
+          r.status_anterior == null ? null : STATUS_LABELS[r.status_anterior],
+        status_novo_label: STATUS_LABELS[r.status_novo],
+      })),
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id/historico-status]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+/**
+ * Tempo em "atendimento" (status 1) por mês, últimos ?meses=12.
+ * Cada período vai da transição para 1 até a próxima transição (ou agora)
+ * e é recortado nos limites de cada mês. ?maquina_id= restringe a 1 máquina.
+ */
+app.get("/relatorios/tempo-atendimento", async (req, res) => {
+  try {
+    let meses = Number(req.query.meses ?? 12);
+    if (!Number.isInteger(meses) || meses <= 0 || meses > 60) meses = 12;
+
+    let maquinaId = null;
+    if (req.query.maquina_id != null && req.query.maquina_id !== "") {
+      maquinaId = Number(req.query.maquina_id);
+      if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "maquina_id inválido" });
+      }
+    }
+
+    // meses no fuso da aplicação: [ini, fim) de cada um, em UTC (o relógio
+    // da sessão do banco, o mesmo do NOW() que grava created_at)
+    const [ano, mes] = todayISO().split("-").map(Number);
+    const periodos = [];
+    for (let i = meses - 1; i >= 0; i--) {
+      const ini = new Date(Date.UTC(ano, mes - 1 - i, 1));
+      const fim = new Date(Date.UTC(ano, mes - i, 1));
+      periodos.push({
+        mes: ini.toISOString().slice(0, 7),
+        ini: utcSql(appMidnight(ini.toISOString().slice(0, 10))),
+        fim: utcSql(appMidnight(fim.toISOString().slice(0, 10))),
+      });
+    }
+
+    const scope = maquinaScope(req.user);
+    const periodosSql = periodos
+      .map(
+        () =>
+          "SELECT ? AS mes, CAST(? AS DATETIME) AS ini, CAST(? AS DATETIME) AS fim"
+      )
+      .join(" UNION ALL ");
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          p.mes,
+          COUNT(DISTINCT t.maquina_id) AS maquinas,
+          SUM(TIMESTAMPDIFF(SECOND, GREATEST(t.inicio, p.ini), LEAST(t.fim, p.fim))) AS segundos
+        FROM (${periodosSql}) p
+        JOIN (
+          SELECT
+            h.maquina_id,
+            h.created_at AS inicio,
+            COALESCE(
+              (
+                SELECT MIN(n.created_at)
+                FROM maquinas_status_historico n
+                WHERE n.maquina_id = h.maquina_id
+                  AND (n.created_at > h.created_at
+                       OR (n.created_at = h.created_at AND n.id > h.id))
+              ),
+              NOW()
+            ) AS fim
+          FROM maquinas_status_historico h
+          JOIN maquinas m ON m.id = h.maquina_id
+          WHERE h.status_novo = 1
+            AND h.created_at < ?
+            AND ${scope.sql}
+            ${maquinaId ? "AND h.maquina_id = ?" : ""}
+        ) t ON t.inicio < p.fim AND t.fim > p.ini
+        GROUP BY p.mes
+        `,
+        [
+          ...periodos.flatMap((p) => [p.mes, p.ini, p.fim]),
+          periodos[periodos.length - 1].fim,
+          ...scope.params,
+          ...(maquinaId ? [maquinaId] : []),
+        ]
+      ),
+      20000,
+      "db_timeout"
+    );
+
+    const porMes = new Map(rows.map((r) => [r.mes, r]));
+    const data = periodos.map(({ mes }) => {
+      const r = porMes.get(mes);
+      const segundos = Number(r?.segundos || 0);
+      return {
+        mes,
+        maquinas: Number(r?.maquinas || 0),
+        segundos,
+        horas: Math.round((segundos / 3600) * 100) / 100,
+      };
+    });
+
+    return res.json({ ok: true, maquina_id: maquinaId, meses, data });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /relatorios/tempo-atendimento]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Chamados (atendimento)
+// Abrir chamado põe a máquina em "atendimento" (1); fechar o último chamado
+// aberto da máquina volta para "ativo" (0). Técnico = usuário admin (equipe).
+const CHAMADO_ESTADOS = ["aberto", "em_andamento", "fechado"];
+
+/** Escopo (alias "c" = chamados): cliente vê os das máquinas vinculadas e os seus */
+function chamadoScope(user, alias = "c") {
+  if (isAdmin(user)) return { sql: "1=1", params: [] };
+  return {
+    sql: `(${alias}.cliente_id = ? OR EXISTS (
+      SELECT 1 FROM usuarios_equipamentos ue
+      WHERE ue.maquina_id = ${alias}.maquina_id AND ue.usuario_id = ? AND ue.fim IS NULL
+    ))`,
+    params: [user.id, user.id],
+  };
+}
+
+/** Técnico precisa existir e ser da equipe (admin); devolve { id, name } ou { error } */
+async function findTecnico(conn, tecnicoId) {
+  const id = Number(tecnicoId);
+  if (!Number.isInteger(id) || id <= 0) return { error: "tecnico_id inválido" };
+  const [rows] = await withTimeout(
+    conn.execute("SELECT id, name, type FROM users WHERE id = ? LIMIT 1", [id]),
+    4000,
+    "db_timeout"
+  );
+  if (!rows.length || Number(rows[0].type) !== USER_TYPE_ADMIN) {
+    return { error: "Técnico não encontrado" };
+  }
+  return { id: rows[0].id, name: rows[0].name };
+}
+
+async function addChamadoEvento(conn, req, chamadoId, tipo, texto = null) {
+  await withTimeout(
+    conn.execute(
+      `
+      INSERT INTO chamados_eventos (chamado_id, usuario_id, tipo, texto, created_at)
+      VALUES (?, ?, ?, ?, NOW())
+      `,
+      [chamadoId, req.user?.id ?? null, tipo, texto]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
+
+/** Chamado visível para o usuário (FOR UPDATE quando em transação) */
+async function findChamado(db, user, id, { forUpdate = false } = {}) {
+  const scope = chamadoScope(user);
+  const [rows] = await db.query(
+    `
+    SELECT c.* FROM chamados c
+    WHERE c.id = ? AND ${scope.sql}
+    LIMIT 1
+    ${forUpdate ? "FOR UPDATE" : ""}
+    `,
+    [id, ...scope.params]
+  );
+  return rows[0] || null;
+}
+
+app.get("/chamados", async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+    const q = req.query;
+    const scope = chamadoScope(req.user);
+    const where = [scope.sql];
+    const params = [...scope.params];
+
+    for (const [key, col] of [
+      ["maquina_id", "c.maquina_id"],
+      ["cliente_id", "c.cliente_id"],
+      ["tecnico_id", "c.tecnico_id"],
+    ]) {
+      if (q[key] == null || q[key] === "") continue;
+      const value = Number(q[key]);
+      if (!Number.isInteger(value) || value <= 0) {
+        return res.status(400).json({ ok: false, error: `${key} inválido` });
+      }
+      where.push(`${col} = ?`);
+      params.push(value);
+    }
+
+    const estados = queryList(q.estado);
+    if (estados.length) {
+      const invalid = estados.filter((e) => !CHAMADO_ESTADOS.includes(e));
+      if (invalid.length) {
+        return res.status(400).json({
+          ok: false,
+          error: `estado inválido: ${invalid.join(", ")} (use ${CHAMADO_ESTADOS.join(", ")})`,
+        });
+      }
+      where.push("c.estado IN (?)");
+      params.push(estados);
+    }
+
+    const whereSql = where.join(" AND ");
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM chamados c WHERE ${whereSql}`,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          c.id,
+          c.maquina_id,
+          m.nome AS maquina_nome,
+          m.serialNumber,
+          c.cliente_id,
+          cu.name AS cliente_nome,
+          c.tecnico_id,
+          tu.name AS tecnico_nome,
+          c.estado,
+          c.titulo,
+          c.fechado_em,
+          c.created_at,
+          c.updated_at
+        FROM chamados c
+        LEFT JOIN maquinas m ON m.id = c.maquina_id
+        LEFT JOIN users cu ON cu.id = c.cliente_id
+        LEFT JOIN users tu ON tu.id = c.tecnico_id
+        WHERE ${whereSql}
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /chamados]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.get("/chamados/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const chamado = await withTimeout(
+      findChamado(pool, req.user, id),
+      4000,
+      "db_timeout"
+    );
+    if (!chamado) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Chamado não encontrado" });
+    }
+
+    const [eventos] = await withTimeout(
+      pool.query(
+        `
+        SELECT e.id, e.tipo, e.texto, e.usuario_id, u.name AS usuario_nome, e.created_at
+        FROM chamados_eventos e
+        LEFT JOIN users u ON u.id = e.usuario_id
+        WHERE e.chamado_id = ?
+        ORDER BY e.created_at ASC, e.id ASC
+        `,
+        [id]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({ ok: true, data: { ...chamado, eventos } });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /chamados/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// admin ou cliente (só para máquinas vinculadas a ele)
+app.post("/chamados", async (req, res) => {
+  let conn;
+  try {
+    const { maquina_id, titulo, descricao, tecnico_id } = req.body || {};
+    const maquinaId = Number(maquina_id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "maquina_id inválido" });
+    }
+    const tituloFinal = String(titulo ?? "")
+      .trim()
+      .slice(0, 160);
+    if (!tituloFinal) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'titulo' é obrigatório" });
+    }
+    const temTecnico = tecnico_id != null && tecnico_id !== "";
+    if (temTecnico && !isAdmin(req.user)) {
+      return res.status(403).json({
+        ok: false,
+        error: "Só administradores atribuem técnico",
+      });
+    }
+
+    if (!(await canAccessMaquina(pool, req.user, maquinaId))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const maquina = await auditSnapshot(conn, "equipamento", maquinaId);
+    if (!maquina) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+    if (Number(maquina.status) === 2 || Number(maquina.status) === 3) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: "Equipamento desativado ou removido",
+      });
+    }
+
+    let tecnico = null;
+    if (temTecnico) {
+      tecnico = await findTecnico(conn, tecnico_id);
+      if (tecnico.error) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, error: tecnico.error });
+      }
+    }
+
+    const descricaoFinal =
+      descricao != null && String(descricao).trim()
+        ? String(descricao).trim()
+        : null;
+
+    const [result] = await withTimeout(
+      conn.execute(
+        `
+        INSERT INTO chamados
+          (maquina_id, cliente_id, aberto_por, tecnico_id, estado, titulo, descricao, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        `,
+        [
+          maquinaId,
+          maquina.usuario_id ?? null,
+          req.user.id,
+          tecnico?.id ?? null,
+          tecnico ? "em_andamento" : "aberto",
+          tituloFinal,
+          descricaoFinal,
+        ]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const chamadoId = result.insertId;
+
+    await addChamadoEvento(conn, req, chamadoId, "abertura", descricaoFinal);
+    if (tecnico) {
+      await addChamadoEvento(
+        conn,
+        req,
+        chamadoId,
+        "atribuicao",
+        `Técnico: ${tecnico.name}`
+      );
+    }
+
+    await alterarStatusMaquina(
+      conn,
+      req,
+      maquina,
+      1,
+      `Chamado #${chamadoId} aberto`
+    );
+
+    await conn.commit();
+
+    return res.status(201).json({
+      ok: true,
+      id: chamadoId,
+      maquina_id: maquinaId,
+      message: "Chamado aberto com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /chamados]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// tecnico_id null remove a atribuição
+app.put("/chamados/:id/tecnico", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const tecnicoId = req.body?.tecnico_id;
+    if (typeof tecnicoId === "undefined") {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Informe 'tecnico_id' (ou null)" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const chamado = await findChamado(conn, req.user, id, { forUpdate: true });
+    if (!chamado) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Chamado não encontrado" });
+    }
+    if (chamado.estado === "fechado") {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, error: "Chamado já fechado" });
+    }
+
+    let tecnico = null;
+    if (tecnicoId != null && tecnicoId !== "") {
+      tecnico = await findTecnico(conn, tecnicoId);
+      if (tecnico.error) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, error: tecnico.error });
+      }
+    }
+
+    await withTimeout(
+      conn.execute(
+        "UPDATE chamados SET tecnico_id = ?, estado = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+        [tecnico?.id ?? null, tecnico ? "em_andamento" : "aberto", id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await addChamadoEvento(
+      conn,
+      req,
+      id,
+      "atribuicao",
+      tecnico ? `Técnico: ${tecnico.name}` : "Técnico removido"
+    );
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      tecnico_id: tecnico?.id ?? null,
+      message: "Técnico atualizado",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[PUT /chamados/:id/tecnico]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.post("/chamados/:id/notas", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const texto = String(req.body?.texto ?? "").trim();
+    if (!texto) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'texto' é obrigatório" });
+    }
+
+    const chamado = await withTimeout(
+      findChamado(pool, req.user, id),
+      4000,
+      "db_timeout"
+    );
+    if (!chamado) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Chamado não encontrado" });
+    }
+    if (chamado.estado === "fechado") {
+      return res.status(409).json({ ok: false, error: "Chamado já fechado" });
+    }
+
+    await withTimeout(
+      addChamadoEvento(pool, req, id, "nota", texto),
+      6000,
+      "db_timeout"
+    );
+    await withTimeout(
+      pool.execute(
+        "UPDATE chamados SET updated_at = NOW() WHERE id = ? LIMIT 1",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    return res.status(201).json({ ok: true, id, message: "Nota registrada" });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /chamados/:id/notas]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
+
+app.post("/chamados/:id/fechar", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const resolucao = String(req.body?.resolucao ?? "").trim();
+    if (!resolucao) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'resolucao' é obrigatório" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [[ref]] = await withTimeout(
+      conn.execute("SELECT maquina_id FROM chamados WHERE id = ? LIMIT 1", [
+        id,
+      ]),
+      4000,
+      "db_timeout"
+    );
+    // trava a máquina antes do chamado (mesma ordem da abertura)
+    const maquina = ref
+      ? await auditSnapshot(conn, "equipamento", ref.maquina_id)
+      : null;
+    const chamado = await findChamado(conn, req.user, id, { forUpdate: true });
+    if (!chamado) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Chamado não encontrado" });
+    }
+    if (chamado.estado === "fechado") {
+      await conn.rollback();
+      return res.status(409).json({ ok: false, error: "Chamado já fechado" });
+    }
+
+    await withTimeout(
+      conn.execute(
+        `
+        UPDATE chamados
+           SET estado = 'fechado', resolucao = ?, fechado_por = ?, fechado_em = NOW(), updated_at = NOW()
+         WHERE id = ?
+         LIMIT 1
+        `,
+        [resolucao, req.user.id, id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    await addChamadoEvento(conn, req, id, "fechamento", resolucao);
+
+    // último chamado aberto da máquina: sai de "atendimento"
+    const [[abertos]] = await withTimeout(
+      conn.execute(
+        "SELECT COUNT(*) AS total FROM chamados WHERE maquina_id = ? AND estado <> 'fechado'",
+        [chamado.maquina_id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const liberou =
+      Number(abertos.total) === 0 && !!maquina && Number(maquina.status) === 1;
+    if (liberou) {
+      await alterarStatusMaquina(
+        conn,
+        req,
+        maquina,
+        0,
+        `Chamado #${id} fechado`
+      );
+    }
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      maquina_id: chamado.maquina_id,
+      maquina_liberada: liberou,
+      message: "Chamado fechado",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /chamados/:id/fechar]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Ordens de serviço (visitas técnicas)
+// Checklist de tarefas; concluir uma "troca_filtro" grava a troca em filtros.
+const OS_ESTADOS = ["agendada", "concluida", "cancelada"];
+const OS_TAREFA_TIPOS = ["troca_filtro", "reparo", "inspecao", "outro"];
+
+/** "HH:MM" (ou HH:MM:SS) -> "HH:MM:00"; null se vazio; undefined se inválido */
+function parseHora(input) {
+  if (input == null || String(input).trim() === "") return null;
+  const m = String(input)
+    .trim()
+    .match(/^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/);
+  if (!m) return undefined;
+  return `${m[1]}:${m[2]}:${m[3] || "00"}`;
+}
+
+/** Janela de horário opcional: { inicio, fim } | { error } */
+function parseJanela(horaInicio, horaFim) {
+  const inicio = parseHora(horaInicio);
+  const fim = parseHora(horaFim);
+  if (inicio === undefined || fim === undefined) {
+    return { error: "Use 'hora_inicio'/'hora_fim' no formato HH:MM" };
+  }
+  if (inicio && fim && fim <= inicio) {
+    return { error: "'hora_fim' deve ser depois de 'hora_inicio'" };
+  }
+  return { inicio, fim };
+}
+
+/**
+ * Checklist: [{ tipo, descricao, filtro_tipo, filtro_nome, vazao, vazao_unidade }]
+ * Retorna { errors, tarefas } (tarefas já normalizadas para INSERT).
+ */
+function validarTarefas(input) {
+  const errors = [];
+  if (!Array.isArray(input) || !input.length) {
+    return {
+      errors: ["Informe 'tarefas' (lista com ao menos 1 tarefa)"],
+      tarefas: [],
+    };
+  }
+
+  const tarefas = input.map((t, i) => {
+    const n = i + 1;
+    const tipo = String(t?.tipo ?? "").trim();
+    if (!OS_TAREFA_TIPOS.includes(tipo)) {
+      errors.push(
+        `tarefa ${n}: tipo inválido (use ${OS_TAREFA_TIPOS.join(", ")})`
+      );
+    }
+    const tarefa = {
+      tipo,
+      descricao:
+        String(t?.descricao ?? "")
+          .trim()
+          .slice(0, 255) || (tipo === "troca_filtro" ? "Troca de filtro" : ""),
+      filtro_tipo: null,
+      filtro_nome: null,
+      filtro_vazao: null,
+    };
+    if (!tarefa.descricao)
+      errors.push(`tarefa ${n}: 'descricao' é obrigatória`);
+
+    if (tipo === "troca_filtro") {
+      tarefa.filtro_tipo = String(t?.filtro_tipo ?? "-").trim() || "-";
+      tarefa.filtro_nome = String(t?.filtro_nome ?? "-").trim() || "-";
+      const v = parseVazao(t?.vazao, t?.vazao_unidade);
+      if (v.error) errors.push(`tarefa ${n}: ${v.error}`);
+      else tarefa.filtro_vazao = v.value;
+    }
+    return tarefa;
+  });
+
+  return { errors, tarefas };
+}
+
+async function findOrdemServico(db, user, id, { forUpdate = false } = {}) {
+  const scope = maquinaScope(user);
+  const [rows] = await db.query(
+    `
+    SELECT os.*
+    FROM ordens_servico os
+    JOIN maquinas m ON m.id = os.maquina_id
+    WHERE os.id = ? AND ${scope.sql}
+    LIMIT 1
+    ${forUpdate ? "FOR UPDATE" : ""}
+    `,
+    [id, ...scope.params]
+  );
+  return rows[0] || null;
+}
+
+app.get("/ordens-servico", async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+    const q = req.query;
+    const scope = maquinaScope(req.user);
+    const where = [scope.sql];
+    const params = [...scope.params];
+
+    for (const [key, col] of [
+      ["maquina_id", "os.maquina_id"],
+      ["chamado_id", "os.chamado_id"],
+      ["tecnico_id", "os.tecnico_id"],
+    ]) {
+      if (q[key] == null || q[key] === "") continue;
+      const value = Number(q[key]);
+      if (!Number.isInteger(value) || value <= 0) {
+        return res.status(400).json({ ok: false, error: `${key} inválido` });
+      }
+      where.push(`${col} = ?`);
+      params.push(value);
+    }
+
+    const estados = queryList(q.estado);
+    if (estados.length) {
+      const invalid = estados.filter((e) => !OS_ESTADOS.includes(e));
+      if (invalid.length) {
+        return res.status(400).json({
+          ok: false,
+          error: `estado inválido: ${invalid.join(", ")} (use ${OS_ESTADOS.join(", ")})`,
+        });
+      }
+      where.push("os.estado IN (?)");
+      params.push(estados);
+    }
+
+    if ((q.de && !isValidISODate(q.de)) || (q.ate && !isValidISODate(q.ate))) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Use 'de'/'ate' no formato YYYY-MM-DD" });
+    }
+    if (q.de) {
+      where.push("os.data >= ?");
+      params.push(String(q.de));
+    }
+    if (q.ate) {
+      where.push("os.data <= ?");
+      params.push(String(q.ate));
+    }
+
+    const whereSql = where.join(" AND ");
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `
+        SELECT COUNT(*) AS total
+        FROM ordens_servico os
+        JOIN maquinas m ON m.id = os.maquina_id
+        WHERE ${whereSql}
+        `,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          os.id,
+          os.maquina_id,
+          m.nome AS maquina_nome,
+          m.serialNumber,
+          os.chamado_id,
+          os.tecnico_id,
+          tu.name AS tecnico_nome,
+          os.data,
+          os.hora_inicio,
+          os.hora_fim,
+          os.estado,
+          os.concluida_em,
+          os.created_at
+        FROM ordens_servico os
+        JOIN maquinas m ON m.id = os.maquina_id
+        LEFT JOIN users tu ON tu.id = os.tecnico_id
+        WHERE ${whereSql}
+        ORDER BY os.data DESC, os.hora_inicio ASC, os.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /ordens-servico]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.get("/ordens-servico/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const ordem = await withTimeout(
+      findOrdemServico(pool, req.user, id),
+      4000,
+      "db_timeout"
+    );
+    if (!ordem) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Ordem de serviço não encontrada" });
+    }
+
+    const [tarefas] = await withTimeout(
+      pool.query(
+        `
+        SELECT id, posicao, tipo, descricao, filtro_tipo, filtro_nome, filtro_vazao, concluida, filtro_id
+        FROM ordens_servico_tarefas
+        WHERE ordem_id = ?
+        ORDER BY posicao ASC, id ASC
+        `,
+        [id]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({ ok: true, data: { ...ordem, tarefas } });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /ordens-servico/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.post("/ordens-servico", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const {
+      maquina_id,
+      chamado_id,
+      tecnico_id,
+      data,
+      hora_inicio,
+      hora_fim,
+      observacao,
+      tarefas,
+    } = req.body || {};
+
+    const maquinaId = Number(maquina_id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "maquina_id inválido" });
+    }
+    if (!isValidISODate(data)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'data' inválido (use YYYY-MM-DD)" });
+    }
+    const janela = parseJanela(hora_inicio, hora_fim);
+    if (janela.error) {
+      return res.status(400).json({ ok: false, error: janela.error });
+    }
+    const checklist = validarTarefas(tarefas);
+    if (checklist.errors.length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: checklist.errors.join("; ") });
+    }
+    if (tecnico_id == null || tecnico_id === "") {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'tecnico_id' é obrigatório" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [maq] = await withTimeout(
+      conn.execute("SELECT id, status FROM maquinas WHERE id = ? LIMIT 1", [
+        maquinaId,
+      ]),
+      4000,
+      "db_timeout"
+    );
+    if (!maq.length || Number(maq[0].status) === 3) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const tecnico = await findTecnico(conn, tecnico_id);
+    if (tecnico.error) {
+      await conn.rollback();
+      return res.status(400).json({ ok: false, error: tecnico.error });
+    }
+
+    let chamadoId = null;
+    if (chamado_id != null && chamado_id !== "") {
+      chamadoId = Number(chamado_id);
+      const [ch] = await withTimeout(
+        conn.execute("SELECT maquina_id FROM chamados WHERE id = ? LIMIT 1", [
+          Number.isInteger(chamadoId) ? chamadoId : 0,
+        ]),
+        4000,
+        "db_timeout"
+      );
+      if (!ch.length || Number(ch[0].maquina_id) !== maquinaId) {
+        await conn.rollback();
+        return res.status(400).json({
+          ok: false,
+          error: "chamado_id não encontrado para este equipamento",
+        });
+      }
+    }
+
+    const [result] = await withTimeout(
+      conn.execute(
+        `
+        INSERT INTO ordens_servico
+          (maquina_id, chamado_id, tecnico_id, data, hora_inicio, hora_fim, estado, observacao, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'agendada', ?, ?, NOW(), NOW())
+        `,
+        [
+          maquinaId,
+          chamadoId,
+          tecnico.id,
+          String(data),
+          janela.inicio,
+          janela.fim,
+          observacao != null && String(observacao).trim()
+            ? String(observacao).trim()
+            : null,
+          req.user.id,
+        ]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const ordemId = result.insertId;
+
+    for (const [i, t] of checklist.tarefas.entries()) {
+      await withTimeout(
+        conn.execute(
+          `
+          INSERT INTO ordens_servico_tarefas
+            (ordem_id, posicao, tipo, descricao, filtro_tipo, filtro_nome, filtro_vazao)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          `,
+          [
+            ordemId,
+            i,
+            t.tipo,
+            t.descricao,
+            t.filtro_tipo,
+            t.filtro_nome,
+            t.filtro_vazao,
+          ]
+        ),
+        4000,
+        "db_timeout"
+      );
+    }
+
+    if (chamadoId) {
+      await addChamadoEvento(
+        conn,
+        req,
+        chamadoId,
+        "nota",
+        `OS #${ordemId} agendada para ${formatDateBR(data)} (${tecnico.name})`
+      );
+    }
+
+    await conn.commit();
+
+    return res.status(201).json({
+      ok: true,
+      id: ordemId,
+      message: "Ordem de serviço agendada",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /ordens-servico]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// reagendar / trocar técnico (só enquanto agendada)
+app.put("/ordens-servico/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const body = req.body || {};
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const ordem = await findOrdemServico(conn, req.user, id, {
+      forUpdate: true,
+    });
+    if (!ordem) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Ordem de serviço não encontrada" });
+    }
+    if (ordem.estado !== "agendada") {
+      await conn.rollback();
+      return res
+        .status(409)
+        .json({ ok: false, error: `Ordem de serviço já ${ordem.estado}` });
+    }
+
+    const fields = [];
+    const params = [];
+
+    if (typeof body.data !== "undefined") {
+      if (!isValidISODate(body.data)) {
+        await conn.rollback();
+        return res
+          .status(400)
+          .json({ ok: false, error: "Campo 'data' inválido (use YYYY-MM-DD)" });
+      }
+      fields.push("data = ?");
+      params.push(String(body.data));
+    }
+    if (
+      typeof body.hora_inicio !== "undefined" ||
+      typeof body.hora_fim !== "undefined"
+    ) {
+      const janela = parseJanela(
+        typeof body.hora_inicio !== "undefined"
+          ? body.hora_inicio
+          : ordem.hora_inicio,
+        typeof body.hora_fim !== "undefined" ? body.hora_fim : ordem.hora_fim
+      );
+      if (janela.error) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, error: janela.error });
+      }
+      fields.push("hora_inicio = ?", "hora_fim = ?");
+      params.push(janela.inicio, janela.fim);
+    }
+    if (typeof body.tecnico_id !== "undefined") {
+      const tecnico = await findTecnico(conn, body.tecnico_id);
+      if (tecnico.error) {
+        await conn.rollback();
+        return res.status(400).json({ ok: false, error: tecnico.error });
+      }
+      fields.push("tecnico_id = ?");
+      params.push(tecnico.id);
+    }
+    if (typeof body.observacao !== "undefined") {
+      fields.push("observacao = ?");
+      params.push(
+        body.observacao != null && String(body.observacao).trim()
+          ? String(body.observacao).trim()
+          : null
+      );
+    }
+
+    if (!fields.length) {
+      await conn.rollback();
+      return res
+        .status(400)
+        .json({ ok: false, error: "Nenhum campo para atualizar" });
+    }
+
+    await withTimeout(
+      conn.execute(
+        `UPDATE ordens_servico SET ${fields.join(", ")}, updated_at = NOW() WHERE id = ? LIMIT 1`,
+        [...params, id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await conn.commit();
+
+    return res.json({ ok: true, id, message: "Ordem de serviço atualizada" });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[PUT /ordens-servico/:id]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Conclui a OS. body.tarefas = [id, ...] marca só essas como feitas
+ * (omitido = todas). Cada "troca_filtro" feita vira uma linha em filtros
+ * com data = body.data (padrão: hoje), registrada na auditoria.
+ */
+app.post("/ordens-servico/:id/concluir", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const body = req.body || {};
+    const dataTroca = body.data ?? todayISO();
+    const feitasInput =
+      typeof body.tarefas === "undefined" ? null : body.tarefas;
+    if (feitasInput !== null && !Array.isArray(feitasInput)) {
+      return res.status(400).json({
+        ok: false,
+        error: "'tarefas' deve ser a lista de IDs concluídos",
+      });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const ordem = await findOrdemServico(conn, req.user, id, {
+      forUpdate: true,
+    });
+    if (!ordem) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Ordem de serviço não encontrada" });
+    }
+    if (ordem.estado !== "agendada") {
+      await conn.rollback();
+      return res
+        .status(409)
+        .json({ ok: false, error: `Ordem de serviço já ${ordem.estado}` });
+    }
+
+    const [tarefas] = await withTimeout(
+      conn.execute(
+        "SELECT * FROM ordens_servico_tarefas WHERE ordem_id = ? ORDER BY posicao ASC, id ASC FOR UPDATE",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const feitasIds = new Set(
+      (feitasInput ?? tarefas.map((t) => t.id)).map(Number)
+    );
+    const desconhecidas = [...feitasIds].filter(
+      (tid) => !tarefas.some((t) => Number(t.id) === tid)
+    );
+    if (desconhecidas.length) {
+      await conn.rollback();
+      return res.status(400).json({
+        ok: false,
+        error: `Tarefas não pertencem a esta OS: ${desconhecidas.join(", ")}`,
+      });
+    }
+
+    const filtrosCriados = [];
+    for (const t of tarefas) {
+      if (!feitasIds.has(Number(t.id))) continue;
+
+      let filtroId = null;
+      if (t.tipo === "troca_filtro") {
+        const { errors, values } = validateFiltroInput({
+          data: dataTroca,
+          tipo: t.filtro_tipo,
+          nome: t.filtro_nome,
+          vazao: t.filtro_vazao,
+        });
+        if (errors.length) {
+          await conn.rollback();
+          return res.status(400).json({ ok: false, error: errors.join("; ") });
+        }
+
+        const [ins] = await withTimeout(
+          conn.execute(
+            `
+            INSERT INTO filtros (maquina_id, tipo, nome, data, vazao, created_by, updated_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+            `,
+            [
+              ordem.maquina_id,
+              values.tipo,
+              values.nome,
+              values.data,
+              values.vazao,
+              req.user.id,
+              req.user.id,
+            ]
+          ),
+          4000,
+          "db_timeout"
+        );
+        filtroId = ins.insertId;
+        filtrosCriados.push(filtroId);
+
+        await registrarAuditoria(conn, req, {
+          entidade: "filtro",
+          entidadeId: filtroId,
+          acao: "criar",
+          depois: await auditSnapshot(conn, "filtro", filtroId),
+        });
+      }
+
+      await withTimeout(
+        conn.execute(
+          "UPDATE ordens_servico_tarefas SET concluida = 1, filtro_id = ? WHERE id = ? LIMIT 1",
+          [filtroId, t.id]
+        ),
+        4000,
+        "db_timeout"
+      );
+    }
+
+    await withTimeout(
+      conn.execute(
+        `
+        UPDATE ordens_servico
+           SET estado = 'concluida', concluida_por = ?, concluida_em = NOW(), updated_at = NOW()
+         WHERE id = ?
+         LIMIT 1
+        `,
+        [req.user.id, id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    if (ordem.chamado_id) {
+      await addChamadoEvento(
+        conn,
+        req,
+        ordem.chamado_id,
+        "nota",
+        `OS #${id} concluída (${feitasIds.size}/${tarefas.length} tarefas)`
+      );
+    }
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      id,
+      tarefas_concluidas: feitasIds.size,
+      filtros_criados: filtrosCriados,
+      message: "Ordem de serviço concluída",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /ordens-servico/:id/concluir]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.post("/ordens-servico/:id/cancelar", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const [r] = await withTimeout(
+      pool.execute(
+        "UPDATE ordens_servico SET estado = 'cancelada', updated_at = NOW() WHERE id = ? AND estado = 'agendada' LIMIT 1",
+        [id]
+      ),
+      6000,
+      "db_timeout"
+    );
+    if (r.affectedRows === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: "Ordem de serviço não encontrada ou não está agendada",
+      });
+    }
+
+    return res.json({ ok: true, id, message: "Ordem de serviço cancelada" });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /ordens-servico/:id/cancelar]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
+
+/**
+ * Roteiro do dia: ?data=YYYY-MM-DD (padrão hoje) & ?tecnico=ID (opcional).
+ * OS agendadas/concluídas agrupadas por cidade e bairro, em ordem de horário.
+ */
+app.get("/agenda", requireAdmin, async (req, res) => {
+  try {
+    const data = req.query.data ? String(req.query.data) : todayISO();
+    if (!isValidISODate(data)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "data inválida (YYYY-MM-DD)" });
+    }
+
+    const where = ["os.data = ?", "os.estado <> 'cancelada'"];
+    const params = [data];
+    let tecnicoId = null;
+    if (req.query.tecnico != null && req.query.tecnico !== "") {
+      tecnicoId = Number(req.query.tecnico);
+      if (!Number.isInteger(tecnicoId) || tecnicoId <= 0) {
+        return res.status(400).json({ ok: false, error: "tecnico inválido" });
+      }
+      where.push("os.tecnico_id = ?");
+      params.push(tecnicoId);
+    }
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          os.id,
+          os.maquina_id,
+          m.nome AS maquina_nome,
+          m.serialNumber,
+          m.endereco,
+          m.numero,
+          m.bairro,
+          m.cep,
+          m.cidade_id,
+          c.nome AS cidade_nome,
+          c.uf,
+          os.chamado_id,
+          os.tecnico_id,
+          tu.name AS tecnico_nome,
+          os.hora_inicio,
+          os.hora_fim,
+          os.estado
+        FROM ordens_servico os
+        JOIN maquinas m ON m.id = os.maquina_id
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        LEFT JOIN users tu ON tu.id = os.tecnico_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY c.uf, c.nome, m.bairro, os.hora_inicio IS NULL, os.hora_inicio, os.id
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    // cidade -> bairro, preservando a ordem do SQL
+    const cidades = new Map();
+    for (const r of rows) {
+      const cidadeKey = r.cidade_id ?? "sem_cidade";
+      if (!cidades.has(cidadeKey)) {
+        cidades.set(cidadeKey, {
+          cidade_id: r.cidade_id,
+          cidade: r.cidade_nome,
+          uf: r.uf,
+          total: 0,
+          bairros: new Map(),
+        });
+      }
+      const cidade = cidades.get(cidadeKey);
+      const bairro = String(r.bairro ?? "").trim() || null;
+      const bairroKey = bairro ? cityKey(bairro) : "";
+      if (!cidade.bairros.has(bairroKey)) {
+        cidade.bairros.set(bairroKey, { bairro, ordens: [] });
+      }
+      cidade.bairros.get(bairroKey).ordens.push(r);
+      cidade.total++;
+    }
+
+    return res.json({
+      ok: true,
+      data,
+      tecnico_id: tecnicoId,
+      total: rows.length,
+      cidades: [...cidades.values()].map((c) => ({
+        ...c,
+        bairros: [...c.bairros.values()],
+      })),
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /agenda]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Telemetria (leituras dos dispensers)
+const TELEMETRIA_MAX_LOTE = 500;
+const TELEMETRIA_MODULOS = ["agua_gelada", "agua_quente", "agua_pet"];
+
+/** Gera chave de dispositivo: devolve a chave em texto (mostrada 1x) */
+function generateDeviceKey() {
+  return `dev_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/** Compara hash sha256 em tempo constante */
+function safeHashEqual(a, b) {
+  const ba = Buffer.from(String(a || ""), "hex");
+  const bb = Buffer.from(String(b || ""), "hex");
+  return (
+    ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb)
+  );
+}
+
+function optionalNumber(value, min, max) {
+  if (value == null || value === "") return { value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) return { error: true };
+  return { value: n };
+}
+
+/**
+ * Valida uma leitura do lote. Litros = volume servido desde a leitura anterior.
+ * Retorna { leitura } ou { error }
+ */
+function validateLeitura(raw) {
+  if (!raw || typeof raw !== "object") return { error: "leitura inválida" };
+
+  const ts = new Date(raw.timestamp);
+  if (!raw.timestamp || Number.isNaN(ts.getTime())) {
+    return { error: "timestamp inválido (ISO 8601)" };
+  }
+  if (ts.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: "timestamp no futuro" };
+  }
+
+  const leitura = { device_ts: ts };
+
+  for (const mod of TELEMETRIA_MODULOS) {
+    const v = optionalNumber(raw[`${mod}_litros`], 0, 10000);
+    if (v.error) return { error: `${mod}_litros deve estar entre 0 e 10000` };
+    leitura[`${mod}_litros`] = v.value;
+  }
+
+  for (const campo of ["temperatura_gelada", "temperatura_quente"]) {
+    const v = optionalNumber(raw[campo], -30, 130);
+    if (v.error) return { error: `${campo} deve estar entre -30 e 130` };
+    leitura[campo] = v.value;
+  }
+
+  const erros = raw.erros == null ? [] : raw.erros;
+  if (
+    !Array.isArray(erros) ||
+    erros.length > 20 ||
+    !erros.every((c) => /^[A-Za-z0-9_.-]{1,20}$/.test(String(c)))
+  ) {
+    return { error: "erros deve ser uma lista de códigos (até 20)" };
+  }
+  leitura.erros = erros.length ? erros.map(String).join(",") : null;
+
+  return { leitura };
+}
+
+// dispositivo envia: X-Device-Key: <chave>  body: { leituras: [...] }
+app.post("/telemetria/:serialNumber", async (req, res) => {
+  try {
+    const serial = String(req.params.serialNumber || "").trim();
+    const deviceKey = String(req.headers["x-device-key"] || "").trim();
+    if (!serial || !deviceKey) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Credenciais do dispositivo ausentes" });
+    }
+
+    const [devRows] = await withTimeout(
+      pool.execute(
+        `
+        SELECT m.id AS maquina_id, m.status, d.id AS dispositivo_id, d.api_key_hash
+        FROM maquinas m
+        JOIN dispositivos d ON d.maquina_id = m.id AND d.ativo = 1
+        WHERE TRIM(m.serialNumber) = ?
+        ORDER BY (m.status = 3) ASC, m.id DESC
+        LIMIT 1
+        `,
+        [serial]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const dev = devRows[0];
+    if (!dev || !safeHashEqual(dev.api_key_hash, sha256(deviceKey))) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Credenciais do dispositivo inválidas" });
+    }
+
+    const status = Number(dev.status);
+    if (status === 2 || status === 3) {
+      return res.status(403).json({
+        ok: false,
+        error: status === 3 ? "Equipamento removido" : "Equipamento desativado",
+      });
+    }
+
+    const body = req.body || {};
+    const lote = Array.isArray(body.leituras) ? body.leituras : [body];
+    if (!lote.length || lote.length > TELEMETRIA_MAX_LOTE) {
+      return res.status(400).json({
+        ok: false,
+        error: `Envie entre 1 e ${TELEMETRIA_MAX_LOTE} leituras`,
+      });
+    }
+
+    const rejeitadas = [];
+    const porTimestamp = new Map(); // dedup dentro do próprio lote
+    lote.forEach((raw, index) => {
+      const { leitura, error } = validateLeitura(raw);
+      if (error) rejeitadas.push({ index, error });
+      else porTimestamp.set(leitura.device_ts.getTime(), leitura);
+    });
+
+    const validas = [...porTimestamp.values()];
+    let inseridas = 0;
+
+    if (validas.length) {
+      // UNIQUE (maquina_id, device_ts): reenvio do mesmo lote não duplica
+      const placeholders = validas
+        .map(() => "(?, ?, ?, ?, ?, ?, ?, ?, NOW())")
+        .join(", ");
+      const params = validas.flatMap((l) => [
+        dev.maquina_id,
+        l.device_ts,
+        l.agua_gelada_litros,
+        l.agua_quente_litros,
+        l.agua_pet_litros,
+        l.temperatura_gelada,
+        l.temperatura_quente,
+        l.erros,
+      ]);
+
+      const [r] = await withTimeout(
+        pool.query(
+          `
+          INSERT IGNORE INTO telemetria_leituras
+            (maquina_id, device_ts, agua_gelada_litros, agua_quente_litros, agua_pet_litros,
+             temperatura_gelada, temperatura_quente, erros, created_at)
+          VALUES ${placeholders}
+          `,
+          params
+        ),
+        10000,
+        "db_timeout"
+      );
+      inseridas = r.affectedRows;
+    }
+
+    await withTimeout(
+      pool.execute(
+        "UPDATE dispositivos SET last_seen_at = NOW() WHERE id = ? LIMIT 1",
+        [dev.dispositivo_id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    return res.status(rejeitadas.length && !validas.length ? 400 : 202).json({
+      ok: validas.length > 0,
+      recebidas: lote.length,
+      inseridas,
+      duplicadas: lote.length - rejeitadas.length - inseridas,
+      rejeitadas,
+    });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /telemetria/:serialNumber]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
+
+// (re)gera a chave do dispositivo da máquina; a anterior deixa de valer
+app.post("/equipamentos/:id/dispositivo", requireAdmin, async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const [exists] = await withTimeout(
+      pool.execute(
+        "SELECT id, serialNumber FROM maquinas WHERE id = ? AND status <> 3 LIMIT 1",
+        [maquinaId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!exists.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const key = generateDeviceKey();
+    await withTimeout(
+      pool.execute(
+        `
+        INSERT INTO dispositivos (maquina_id, api_key_hash, ativo, created_at, updated_at)
+        VALUES (?, ?, 1, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE api_key_hash = VALUES(api_key_hash), ativo = 1, updated_at = NOW()
+        `,
+        [maquinaId, sha256(key)]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    return res.status(201).json({
+      ok: true,
+      maquina_id: maquinaId,
+      serialNumber: exists[0].serialNumber,
+      device_key: key,
+      message: "Chave gerada. Guarde-a: ela não será exibida novamente.",
+    });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /equipamentos/:id/dispositivo]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
+
+app.delete("/equipamentos/:id/dispositivo", requireAdmin, async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const [r] = await withTimeout(
+      pool.execute(
+        "UPDATE dispositivos SET ativo = 0, updated_at = NOW() WHERE maquina_id = ? LIMIT 1",
+        [maquinaId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (r.affectedRows === 0) {
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+
+    return res.json({ ok: true, message: "Chave do dispositivo revogada" });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[DELETE /equipamentos/:id/dispositivo]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  }
+});
+
+// leituras brutas (mais recentes primeiro)
+app.get("/equipamentos/:id/telemetria", async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const { limit, offset } = parseLimitOffset(req, 100, 1000);
+
+    if (!(await canAccessMaquina(pool, req.user, maquinaId))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT id, device_ts, agua_gelada_litros, agua_quente_litros, agua_pet_litros,
+               temperatura_gelada, temperatura_quente, erros, created_at
+        FROM telemetria_leituras
+        WHERE maquina_id = ?
+        ORDER BY device_ts DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        [maquinaId]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({ ok: true, data: rows, limit, offset });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id/telemetria]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Consumo (agregado das leituras de telemetria)
+// device_ts e os vínculos (inicio/fim) estão em UTC, como o resto do banco;
+// os períodos são dias do fuso de operação (APP_TZ), como todayISO e os
+// filtros de/ate, com o offset de cada leitura.
+const CONSUMO_PERIODOS = {
+  dia: (ts) => `DATE_FORMAT(${ts}, '%Y-%m-%d')`,
+  semana: (ts) =>
+    `DATE_FORMAT(DATE_SUB(${ts}, INTERVAL WEEKDAY(${ts}) DAY), '%Y-%m-%d')`,
+  mes: (ts) => `DATE_FORMAT(${ts}, '%Y-%m-01')`,
+};
+
+/** Lê de/ate/granularidade da query (padrão: últimos 30 dias, por dia) */
+function parseConsumoQuery(req) {
+  const granularidade = String(req.query.granularidade || "dia").toLowerCase();
+  if (!CONSUMO_PERIODOS[granularidade]) {
+    return { error: "granularidade deve ser dia, semana ou mes" };
+  }
+
+  const ate = req.query.ate ? String(req.query.ate) : todayISO();
+  let de = req.query.de ? String(req.query.de) : null;
+  if (!de) {
+    const d = new Date(`${ate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 29);
+    de = d.toISOString().slice(0, 10);
+  }
+  if (!isValidISODate(de) || !isValidISODate(ate)) {
+    return { error: "Use 'de'/'ate' no formato YYYY-MM-DD" };
+  }
+  if (de > ate) return { error: "'de' deve ser anterior a 'ate'" };
+
+  return { de, ate, granularidade };
+}
+
+/**
+ * Soma litros por período e módulo dentro das "janelas" informadas:
+ * [{ id, maquina_id, inicio, fim, modulos }] (inicio/fim null = sem limite).
+ * Cada janela é um período de posse (vínculo) com seus módulos habilitados;
+ * módulo desligado não entra na conta.
+ */
+async function queryConsumo(pool, { de, ate, granularidade, janelas }) {
+  const totais = { agua_gelada: 0, agua_quente: 0, agua_pet: 0 };
+  if (!janelas.length) {
+    return { data: [], totais, porMaquina: [], porJanela: [] };
+  }
+
+  const ids = [...new Set(janelas.map((j) => j.maquina_id))];
+  const tsApp = utcParaLocalSql("l.device_ts", de, ate);
+  const fimDia = new Date(`${ate}T00:00:00Z`);
+  fimDia.setUTCDate(fimDia.getUTCDate() + 1);
+  const janelasSql = janelas
+    .map(
+      () =>
+        "SELECT ? AS janela, ? AS maquina_id, CAST(? AS DATETIME) AS inicio, CAST(? AS DATETIME) AS fim"
+    )
+    .join(" UNION ALL ");
+
+  const [rows] = await withTimeout(
+    pool.query(
+      `
+      SELECT
+        ${CONSUMO_PERIODOS[granularidade](tsApp)} AS periodo,
+        w.janela,
+        l.maquina_id,
+        COALESCE(SUM(l.agua_gelada_litros), 0) AS agua_gelada,
+        COALESCE(SUM(l.agua_quente_litros), 0) AS agua_quente,
+        COALESCE(SUM(l.agua_pet_litros), 0)    AS agua_pet
+      FROM telemetria_leituras l
+      JOIN (${janelasSql}) w
+        ON w.maquina_id = l.maquina_id
+       AND (w.inicio IS NULL OR l.device_ts >= w.inicio)
+       AND (w.fim IS NULL OR l.device_ts < w.fim)
+      WHERE l.maquina_id IN (?)
+        AND l.device_ts >= ?
+        AND l.device_ts < ?
+      GROUP BY periodo, w.janela, l.maquina_id
+      ORDER BY periodo ASC
+      `,
+      [
+        ...janelas.flatMap((j) => [
+          j.id,
+          j.maquina_id,
+          j.inicio ?? null,
+          j.fim ?? null,
+        ]),
+        ids,
+        appMidnight(de),
+        appMidnight(fimDia.toISOString().slice(0, 10)),
+      ]
+    ),
+    20000,
+    "db_timeout"
+  );
+
+  const modulosPorJanela = new Map(janelas.map((j) => [j.id, j.modulos]));
+  const zeros = () => ({ agua_gelada: 0, agua_quente: 0, agua_pet: 0 });
+  const porPeriodo = new Map();
+  const porMaquina = new Map();
+  const porJanela = new Map();
+  for (const r of rows) {
+    const key = String(r.periodo);
+    const periodoAcc = porPeriodo.get(key) || { periodo: key, ...zeros() };
+    const maquinaAcc = porMaquina.get(r.maquina_id) || {
+      maquina_id: r.maquina_id,
+      ...zeros(),
+    };
+    const janelaAcc = porJanela.get(r.janela) || {
+      janela: r.janela,
+      ...zeros(),
+    };
+    for (const mod of modulosPorJanela.get(r.janela) || []) {
+      const litros = Number(r[mod]);
+      periodoAcc[mod] += litros;
+      maquinaAcc[mod] += litros;
+      janelaAcc[mod] += litros;
+      totais[mod] += litros;
+    }
+    porPeriodo.set(key, periodoAcc);
+    porMaquina.set(r.maquina_id, maquinaAcc);
+    porJanela.set(r.janela, janelaAcc);
+  }
+
+  return {
+    data: [...porPeriodo.values()],
+    totais,
+    porMaquina: [...porMaquina.values()],
+    porJanela: [...porJanela.values()],
+  };
+}
+
+/**
+ * Vínculos (períodos de posse) que cruzam [de, ate], como janelas de consumo.
+ * Filtra por maquina_id e/ou usuario_id.
+ */
+async function vinculosNoPeriodo(pool, { maquinaId, usuarioId, de, ate }) {
+  const fimDia = new Date(`${ate}T00:00:00Z`);
+  fimDia.setUTCDate(fimDia.getUTCDate() + 1);
+  // dias de APP_TZ -> instantes UTC, o relógio de inicio/fim
+  const where = ["ue.inicio < ?", "(ue.fim IS NULL OR ue.fim >= ?)"];
+  const params = [
+    appMidnight(fimDia.toISOString().slice(0, 10)),
+    appMidnight(de),
+  ];
+  if (maquinaId) {
+    where.push("ue.maquina_id = ?");
+    params.push(maquinaId);
+  }
+  if (usuarioId) {
+    where.push("ue.usuario_id = ?");
+    params.push(usuarioId);
+  }
+
+  const [rows] = await withTimeout(
+    pool.query(
+      `
+      SELECT ue.id, ue.maquina_id, ue.usuario_id, u.name AS usuario_nome,
+             ue.inicio, ue.fim, ue.agua_gelada, ue.agua_quente, ue.agua_pet
+      FROM usuarios_equipamentos ue
+      LEFT JOIN users u ON u.id = ue.usuario_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY ue.inicio ASC, ue.id ASC
+      `,
+      params
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  return rows.map((ue) => ({ ...ue, modulos: modulosHabilitados(ue) }));
+}
+
+/** Módulos ligados (agua_*) de uma linha de usuarios_equipamentos (NULL = ligado) */
+function modulosHabilitados(ue) {
+  return TELEMETRIA_MODULOS.filter((m) => !ue || Number(ue[m] ?? 1) === 1);
+}
+
+/** Remove chaves de módulos desligados e arredonda litros */
+function pickModulos(obj, modulos) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (TELEMETRIA_MODULOS.includes(k)) {
+      if (modulos.includes(k)) out[k] = Math.round(v * 1000) / 1000;
+    } else out[k] = v;
+  }
+  return out;
+}
+
+app.get("/equipamentos/:id/consumo", async (req, res) => {
+  try {
+    const maquinaId = Number(req.params.id);
+    if (!Number.isInteger(maquinaId) || maquinaId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    const q = parseConsumoQuery(req);
+    if (q.error) return res.status(400).json({ ok: false, error: q.error });
+
+    if (!(await canAccessMaquina(pool, req.user, maquinaId))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    // admin: tudo, com módulos do vínculo atual (mesma regra do /modules)
+    // + quanto coube a cada cliente. Cliente: só enquanto a máquina foi dele.
+    const vinculos = await vinculosNoPeriodo(pool, { maquinaId, ...q });
+    const admin = isAdmin(req.user);
+    const modulos = modulosHabilitados(
+      await getMaquinaModules(pool, maquinaId)
+    );
+
+    const { data, totais } = await queryConsumo(pool, {
+      ...q,
+      janelas: admin
+        ? [{ id: 0, maquina_id: maquinaId, modulos }]
+        : vinculos.filter((v) => Number(v.usuario_id) === req.user.id),
+    });
+
+    let porCliente;
+    if (admin) {
+      const { porJanela } = await queryConsumo(pool, {
+        ...q,
+        janelas: vinculos,
+      });
+      const litros = new Map(
+        porJanela.map(({ janela, ...mods }) => [janela, mods])
+      );
+      porCliente = vinculos.map((v) => ({
+        usuario_id: v.usuario_id,
+        usuario_nome: v.usuario_nome,
+        inicio: v.inicio,
+        fim: v.fim,
+        ...pickModulos(
+          litros.get(v.id) || { agua_gelada: 0, agua_quente: 0, agua_pet: 0 },
+          v.modulos
+        ),
+      }));
+    }
+
+    return res.json({
+      ok: true,
+      maquina_id: maquinaId,
+      ...q,
+      modulos,
+      data: data.map((d) => pickModulos(d, modulos)),
+      totais: pickModulos(totais, modulos),
+      por_cliente: porCliente,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /equipamentos/:id/consumo]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.get("/usuarios/:id/consumo", async (req, res) => {
+  try {
+    const usuarioId = Number(req.params.id);
+    if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    // cliente só consulta o próprio consumo
+    if (!isAdmin(req.user) && req.user.id !== usuarioId) {
+      return res.status(403).json({ ok: false, error: "Acesso negado" });
+    }
+    const q = parseConsumoQuery(req);
+    if (q.error) return res.status(400).json({ ok: false, error: q.error });
+
+    // só o que foi consumido enquanto cada máquina esteve com o cliente
+    const vinculos = await vinculosNoPeriodo(pool, { usuarioId, ...q });
+    const { data, totais, porMaquina } = await queryConsumo(pool, {
+      ...q,
+      janelas: vinculos,
+    });
+
+    return res.json({
+      ok: true,
+      usuario_id: usuarioId,
+      ...q,
+      data: data.map((d) => pickModulos(d, TELEMETRIA_MODULOS)),
+      totais: pickModulos(totais, TELEMETRIA_MODULOS),
+      por_equipamento: porMaquina.map((m) =>
+        pickModulos(m, TELEMETRIA_MODULOS)
+      ),
+      vinculos: vinculos.map((v) => ({
+        maquina_id: v.maquina_id,
+        inicio: v.inicio,
+        fim: v.fim,
+        modulos: v.modulos,
+      })),
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /usuarios/:id/consumo]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// trocas de filtro feitas enquanto a máquina era do cliente
+app.get("/usuarios/:id/filtros", async (req, res) => {
+  try {
+    const usuarioId = Number(req.params.id);
+    if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    if (!isAdmin(req.user) && req.user.id !== usuarioId) {
+      return res.status(403).json({ ok: false, error: "Acesso negado" });
+    }
+
+    const { limit, offset } = parseLimitOffset(req);
+    const { de, ate } = req.query;
+    if ((de && !isValidISODate(de)) || (ate && !isValidISODate(ate))) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Use 'de'/'ate' no formato YYYY-MM-DD" });
+    }
+
+    const where = ["fue.usuario_id = ?"];
+    const params = [usuarioId];
+    if (de) {
+      where.push("f.data >= ?");
+      params.push(de);
+    }
+    if (ate) {
+      where.push("f.data <= ?");
+      params.push(ate);
+    }
+    const whereSql = where.join(" AND ");
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM filtros f ${filtroClienteJoin()} WHERE ${whereSql}`,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          f.id,
+          f.maquina_id,
+          m.nome AS maquina_nome,
+          m.serialNumber,
+          f.tipo,
+          f.nome,
+          f.data,
+          f.vazao,
+          f.created_at
+        FROM filtros f
+        ${filtroClienteJoin()}
+        LEFT JOIN maquinas m ON m.id = f.maquina_id
+        WHERE ${whereSql}
+        ORDER BY f.data DESC, f.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      usuario_id: usuarioId,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /usuarios/:id/filtros]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Dashboard
+app.get("/dashboard/resumo", async (req, res) => {
+  try {
+    let meses = Number(req.query.meses ?? 12);
+    if (!Number.isInteger(meses) || meses <= 0 || meses > 60) meses = 12;
+
+    const scope = maquinaScope(req.user);
+    const base = `FROM maquinas m WHERE m.status <> 3 AND ${scope.sql}`;
+    const venc = filtroVencimentoSql(scope);
+
+    const q = (sql, params = []) =>
+      withTimeout(pool.query(sql, params), 20000, "db_timeout").then(
+        ([rows]) => rows
+      );
+
+    const [
+      porStatus,
+      porUf,
+      porCidade,
+      porModelo,
+      [semCliente],
+      [vencidos],
+      instalacoes,
+    ] = await Promise.all([
+      q(
+        `SELECT m.status, COUNT(*) AS total ${base} GROUP BY m.status`,
+        scope.params
+      ),
+      q(
+        `
+        SELECT COALESCE(c.uf, '??') AS uf, COUNT(*) AS total
+        FROM maquinas m
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        WHERE m.status <> 3 AND ${scope.sql}
+        GROUP BY uf
+        ORDER BY total DESC
+        `,
+        scope.params
+      ),
+      q(
+        `
+        SELECT m.cidade_id, c.nome AS cidade_nome, c.uf, COUNT(*) AS total
+        FROM maquinas m
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        WHERE m.status <> 3 AND ${scope.sql}
+        GROUP BY m.cidade_id, c.nome, c.uf
+        ORDER BY total DESC
+        `,
+        scope.params
+      ),
+      q(
+        `
+        SELECT m.tipo_id, t.nome AS modelo_nome, COUNT(*) AS total
+        FROM maquinas m
+        LEFT JOIN tipos t ON t.id = m.tipo_id
+        WHERE m.status <> 3 AND ${scope.sql}
+        GROUP BY m.tipo_id, t.nome
+        ORDER BY total DESC
+        `,
+        scope.params
+      ),
+      q(
+        `
+        SELECT COUNT(*) AS total ${base}
+          AND NOT EXISTS (SELECT 1 FROM usuarios_equipamentos ue WHERE ue.maquina_id = m.id AND ue.fim IS NULL)
+        `,
+        scope.params
+      ),
+      q(
+        // desativado (2) não troca filtro: fica fora do KPI
+        `SELECT COUNT(*) AS total FROM (${venc.sql}) v WHERE v.dias_restantes < 0 AND v.status IN (0, 1)`,
+        venc.params
+      ),
+      q(
+        `
+        SELECT DATE_FORMAT(m.data_instalacao, '%Y-%m') AS mes, COUNT(*) AS total
+        ${base}
+          AND m.data_instalacao >= DATE_SUB(DATE_FORMAT(?, '%Y-%m-01'), INTERVAL ? MONTH)
+        GROUP BY mes
+        ORDER BY mes ASC
+        `,
+        [...scope.params, todayISO(), meses - 1]
+      ),
+    ]);
+
+    const statusCounts = { ativo: 0, atendimento: 0, desativado: 0 };
+    for (const r of porStatus) {
+      const label = STATUS_LABELS[Number(r.status)];
+      if (label && label in statusCounts) statusCounts[label] = Number(r.total);
+    }
+    const toNum = (rows) => rows.map((r) => ({ ...r, total: Number(r.total) }));
+
+    return res.json({
+      ok: true,
+      data: {
+        total: Object.values(statusCounts).reduce((a, b) => a + b, 0),
+        por_status: statusCounts,
+        por_uf: toNum(porUf),
+        por_cidade: toNum(porCidade),
+        por_modelo: toNum(porModelo),
+        sem_cliente: Number(semCliente?.total || 0),
+        filtros_vencidos: Number(vencidos?.total || 0),
+        instalacoes_por_mes: toNum(instalacoes),
+      },
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /dashboard/resumo]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// ===== Cidades
+// autocomplete sem acento: ?q=sao pa&uf=SP
+app.get("/cidades", async (req, res) => {
+  try {
+    const { limit } = parseLimitOffset(req, 20, 100);
+    const key = cityKey(req.query.q);
+
+    let uf = null;
+    if (req.query.uf) {
+      uf = normalizeUF(req.query.uf);
+      if (!uf) {
+        return res.status(400).json({
+          ok: false,
+          error: `UF inválida. Use uma de: ${UF_SIGLAS.join(", ")}`,
+        });
+      }
+    }
+
+    const where = ["1 = 1"];
+    const params = [];
+    if (key) {
+      where.push("COALESCE(nome_busca, LOWER(nome)) LIKE ?");
+      params.push(`%${key}%`);
+    }
+    if (uf) {
+      where.push("UPPER(TRIM(uf)) = ?");
+      params.push(uf);
+    }
+
+    // prefixo primeiro ("sao p" -> São Paulo antes de "Conceição de São P...")
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT id, nome, uf, ibge_codigo
+        FROM cidades
+        WHERE ${where.join(" AND ")}
+        ORDER BY (COALESCE(nome_busca, LOWER(nome)) LIKE ?) DESC, nome ASC, uf ASC
+        LIMIT ${limit}
+        `,
+        [...params, `${key}%`]
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({ ok: true, data: rows, limit });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /cidades]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// funde a cidade :id (duplicata) em destino_id: toda coluna cidade_id do
+// banco é reapontada e a duplicata é removida. Cidade oficial (IBGE) não sai.
+app.post("/cidades/:id/merge", requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const destinoId = Number(req.body?.destino_id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "ID inválido" });
+  }
+  if (!Number.isInteger(destinoId) || destinoId <= 0 || destinoId === id) {
+    return res.status(400).json({
+      ok: false,
+      error: "Informe 'destino_id' (diferente da cidade a remover)",
+    });
+  }
+  const forcar = toFlag(req.body?.forcar) === 1;
+
+  let conn;
+  try {
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [rows] = await withTimeout(
+      conn.execute(
+        "SELECT id, nome, uf, ibge_codigo FROM cidades WHERE id IN (?, ?) FOR UPDATE",
+        [id, destinoId]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const origem = rows.find((r) => Number(r.id) === id);
+    const destino = rows.find((r) => Number(r.id) === destinoId);
+    if (!origem || !destino) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cidade não encontrada" });
+    }
+    if (origem.ibge_codigo != null) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error:
+          "Cidade oficial (IBGE) não pode ser removida: use-a como destino_id.",
+      });
+    }
+    const ufOrigem = String(origem.uf || "").toUpperCase();
+    const ufDestino = String(destino.uf || "").toUpperCase();
+    if (ufOrigem !== ufDestino && !forcar) {
+      await conn.rollback();
+      return res.status(409).json({
+        ok: false,
+        error: `Cidades de UF diferentes (${ufOrigem || "sem UF"} -> ${ufDestino || "sem UF"}): confirme com forcar=1.`,
+      });
+    }
+
+    // todas as tabelas com cidade_id (não só maquinas/users)
+    const [refs] = await withTimeout(
+      conn.query(
+        `
+        SELECT c.TABLE_NAME AS tabela
+        FROM information_schema.COLUMNS c
+        JOIN information_schema.TABLES t
+          ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+        WHERE c.TABLE_SCHEMA = DATABASE()
+          AND c.COLUMN_NAME = 'cidade_id'
+          AND t.TABLE_TYPE = 'BASE TABLE'
+        `
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    // máquinas e usuários que mudam de cidade também entram na auditoria
+    // (mesmo formato do auditDiff: { cidade_id: { antes, depois } })
+    for (const [entidade, tabela] of [
+      ["equipamento", "maquinas"],
+      ["usuario", "users"],
+    ]) {
+      await withTimeout(
+        conn.query(
+          `
+          INSERT INTO auditoria (usuario_id, entidade, entidade_id, acao, alteracoes, created_at)
+          SELECT ?, ?, id, 'atualizar',
+                 JSON_OBJECT('cidade_id', JSON_OBJECT('antes', ?, 'depois', ?)), NOW()
+          FROM ${tabela}
+          WHERE cidade_id = ?
+          `,
+          [req.user?.id ?? null, entidade, id, destinoId, id]
+        ),
+        20000,
+        "db_timeout"
+      );
+    }
+
+    const atualizados = {};
+    for (const { tabela } of refs) {
+      const touch = tabela === "maquinas" || tabela === "users";
+      const [r] = await withTimeout(
+        conn.query(
+          `UPDATE \`${tabela}\` SET cidade_id = ?${touch ? ", updated_at = NOW()" : ""} WHERE cidade_id = ?`,
+          [destinoId, id]
+        ),
+        20000,
+        "db_timeout"
+      );
+      atualizados[tabela] = r.affectedRows;
+    }
+
+    await withTimeout(
+      conn.execute("DELETE FROM cidades WHERE id = ? LIMIT 1", [id]),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "cidade",
+      entidadeId: id,
+      acao: "remover",
+      antes: origem,
+      depois: { unificada_em: destinoId },
+    });
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      removida: origem,
+      destino,
+      maquinas_atualizadas: atualizados.maquinas || 0,
+      usuarios_atualizados: atualizados.users || 0,
+      atualizados,
+      message: "Cidades unificadas com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /cidades/:id/merge]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Endereços
+app.get("/enderecos/cep/:cep", async (req, res) => {
+  try {
+    const cep = normalizeCep(req.params.cep);
+    if (cep.error || !cep.value) {
+      return res
+        .status(400)
+        .json({ ok: false, error: cep.error || "CEP inválido" });
+    }
+
+    const info = await withTimeout(
+      getCepProvider().lookup(cep.value),
+      8000,
+      "cep_timeout"
+    );
+    if (!info) {
+      return res.status(404).json({ ok: false, error: "CEP não encontrado" });
+    }
+
+    return res.json({ ok: true, data: info });
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const isTimeout = msg.includes("timeout") || e?.name === "TimeoutError";
+    console.error("[GET /enderecos/cep/:cep]", e);
+    return res.status(isTimeout ? 504 : 502).json({
+      ok: false,
+      error: isTimeout
+        ? "Consulta de CEP demorou demais"
+        : "Falha ao consultar CEP",
+    });
+  }
+});
+
+app.get("/modelos", async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+    const sql = `
+      SELECT id, nome, intervalo_troca_dias, created_at, updated_at
+      FROM tipos
+      ORDER BY id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const [rows] = await withTimeout(pool.query(sql), 6000, "db_timeout");
+    return res.json({ ok: true, data: rows, limit, offset });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /modelos]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.post("/modelos", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const { nome, intervalo_troca_dias } = req.body || {};
+    if (!nome || !String(nome).trim()) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'nome' é obrigatório" });
+    }
+    const intervalo = parseIntervaloDias(intervalo_troca_dias);
+    if (intervalo.error) {
+      return res.status(400).json({ ok: false, error: intervalo.error });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [result] = await withTimeout(
+      conn.execute(
+        `INSERT INTO tipos (nome, intervalo_troca_dias, created_at, updated_at) VALUES (?, ?, NOW(), NOW())`,
+        [String(nome).trim(), intervalo.value]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "modelo",
+      entidadeId: result.insertId,
+      acao: "criar",
+      depois: await auditSnapshot(conn, "modelo", result.insertId),
+    });
+
+    await conn.commit();
+
+    return res.status(201).json({
+      ok: true,
+      id: result.insertId,
+      message: "Modelo cadastrado com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[POST /modelos]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.put("/modelos/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    const { nome, intervalo_troca_dias } = req.body || {};
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    if (!nome || !String(nome).trim()) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Campo 'nome' é obrigatório" });
+    }
+    const intervalo = parseIntervaloDias(intervalo_troca_dias);
+    if (intervalo.error) {
+      return res.status(400).json({ ok: false, error: intervalo.error });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "modelo", id);
+    if (!antes) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+
+    // intervalo só é alterado se vier no payload
+    await withTimeout(
+      conn.execute(
+        intervalo.provided
+          ? "UPDATE tipos SET nome = ?, intervalo_troca_dias = ?, updated_at = NOW() WHERE id = ? LIMIT 1"
+          : "UPDATE tipos SET nome = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+        intervalo.provided
+          ? [String(nome).trim(), intervalo.value, id]
+          : [String(nome).trim(), id]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "modelo",
+      entidadeId: id,
+      acao: "atualizar",
+      antes,
+      depois: await auditSnapshot(conn, "modelo", id),
+    });
+
+    await conn.commit();
+    return res.json({ ok: true, id, message: "Modelo atualizado com sucesso" });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[PUT /modelos/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.delete("/modelos/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 6000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "modelo", id);
+    if (!antes) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+
+    await withTimeout(
+      conn.execute("DELETE FROM tipos WHERE id = ? LIMIT 1", [id]),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "modelo",
+      entidadeId: id,
+      acao: "remover",
+      antes,
+    });
+
+    await conn.commit();
+    return res.json({
+      ok: true,
+      hard: true,
+      message: "Modelo removido definitivamente",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[DELETE /modelos/:id]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.get("/usuarios", requireAdmin, async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+    const sql = `
+      SELECT id, name, email, email_verified_at, photo, type, created_at, updated_at
+      FROM users
+      ORDER BY created_at DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const [rows] = await withTimeout(pool.query(sql), 6000, "db_timeout");
+    return res.json({ ok: true, data: rows, limit, offset });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /usuarios]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// colunas expostas de users (nunca password/remember_token)
+const USUARIO_COLUNAS = `
+  u.id, u.name, u.email, u.email_verified_at, u.type, u.photo,
+  u.cidade_id, u.telefone, u.endereco, u.numero, u.bairro, u.cep, u.complemento,
+  u.avisos, u.emails_avisos, u.created_at, u.updated_at
+`;
+
+/** Máquinas vinculadas agora ao cliente (paginado) -> { rows, total } */
+async function listUsuarioEquipamentos(pool, usuarioId, { limit, offset }) {
+  const where = "ue.usuario_id = ? AND ue.fim IS NULL AND m.status <> 3";
+
+  const [[countRow]] = await withTimeout(
+    pool.query(
+      `
+      SELECT COUNT(*) AS total
+      FROM usuarios_equipamentos ue
+      JOIN maquinas m ON m.id = ue.maquina_id
+      WHERE ${where}
+      `,
+      [usuarioId]
+    ),
+    4000,
+    "db_timeout"
+  );
+
+  const [rows] = await withTimeout(
+    pool.query(
+      `
+      SELECT
+        m.id,
+        m.nome,
+        m.serialNumber,
+        m.status,
+        m.tipo_id,
+        t.nome AS modelo_nome,
+        m.cidade_id,
+        c.nome AS cidade_nome,
+        c.uf   AS cidade_uf,
+        m.bairro,
+        m.endereco,
+        m.numero,
+        m.data_instalacao,
+        ue.inicio AS vinculado_desde,
+        ${MODULOS.map((mod) => `ue.${mod}`).join(", ")}
+      FROM usuarios_equipamentos ue
+      JOIN maquinas m ON m.id = ue.maquina_id
+      LEFT JOIN tipos t   ON t.id = m.tipo_id
+      LEFT JOIN cidades c ON c.id = m.cidade_id
+      WHERE ${where}
+      ORDER BY m.nome ASC, m.id ASC
+      LIMIT ${limit} OFFSET ${offset}
+      `,
+      [usuarioId]
+    ),
+    6000,
+    "db_timeout"
+  );
+
+  return { rows, total: Number(countRow?.total || 0) };
+}
+
+// perfil (admin ou o próprio) + primeiras máquinas vinculadas
+app.get("/usuarios/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    if (!isAdmin(req.user) && req.user.id !== id) {
+      return res.status(403).json({ ok: false, error: "Acesso negado" });
+    }
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT ${USUARIO_COLUNAS}, c.nome AS cidade_nome, c.uf AS cidade_uf
+        FROM users u
+        LEFT JOIN cidades c ON c.id = u.cidade_id
+        WHERE u.id = ?
+        LIMIT 1
+        `,
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Usuário não encontrado" });
+    }
+
+    const equipamentos = await listUsuarioEquipamentos(pool, id, {
+      limit: 50,
+      offset: 0,
+    });
+
+    return res.json({
+      ok: true,
+      data: {
+        ...rows[0],
+        equipamentos: equipamentos.rows,
+        equipamentos_total: equipamentos.total,
+      },
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /usuarios/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.get("/usuarios/:id/equipamentos", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+    if (!isAdmin(req.user) && req.user.id !== id) {
+      return res.status(403).json({ ok: false, error: "Acesso negado" });
+    }
+
+    const { limit, offset } = parseLimitOffset(req);
+    const { rows, total } = await listUsuarioEquipamentos(pool, id, {
+      limit,
+      offset,
+    });
+
+    return res.json({ ok: true, data: rows, total, limit, offset });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /usuarios/:id/equipamentos]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+app.post("/usuarios", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const {
+      name,
+      email,
+      password,
+      type,
+      cidade_id,
+      telefone,
+      endereco,
+      numero,
+      bairro,
+      cep,
+      complemento,
+      photo,
+      avisos,
+      emails_avisos,
+    } = req.body || {};
+
+    const missing = [];
+    if (!name) missing.push("name");
+    if (!email) missing.push("email");
+    if (!password) missing.push("password");
+    if (missing.length) {
+      return res.status(400).json({
+        ok: false,
+        error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
+      });
+    }
+
+    const cepNorm = normalizeCep(cep);
+    if (cepNorm.error) {
+      return res.status(400).json({ ok: false, error: cepNorm.error });
+    }
+
+    const hash = await bcrypt.hash(String(password), 10);
+
+    conn = await withTimeout(pool.getConnection(), 8000, "db_timeout");
+    await conn.beginTransaction();
+
+    const [result] = await withTimeout(
+      conn.execute(
+        `
+        INSERT INTO users
+          (cidade_id, name, email, email_verified_at, password, telefone, endereco, numero, bairro, cep, complemento, type, photo, remember_token, created_at, updated_at, avisos, emails_avisos)
+        VALUES
+          (?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NOW(), NOW(), ?, ?)
+        `,
+        [
+          cidade_id ?? null,
+          String(name).trim(),
+          String(email).trim(),
+          hash,
+          telefone ?? null,
+          endereco ?? null,
+          numero ?? null,
+          bairro ?? null,
+          cepNorm.value,
+          complemento ?? null,
+          type == null ? null : Number(type),
+          photo ?? null,
+          avisos == null ? 1 : Number(avisos) ? 1 : 0,
+          emails_avisos ?? null,
+        ]
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "usuario",
+      entidadeId: result.insertId,
+      acao: "criar",
+      depois: await auditSnapshot(conn, "usuario", result.insertId),
+    });
+
+    await conn.commit();
+
+    const verificationSent = await trySendEmailVerification(
+      pool,
+      {
+        id: result.insertId,
+        name: String(name).trim(),
+        email: String(email).trim(),
+      },
+      "POST /usuarios"
+    );
+
+    return res.status(201).json({
+      ok: true,
+      id: result.insertId,
+      verification_sent: verificationSent,
+      message: "Usuário cadastrado com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    if (e && (e.code === "ER_DUP_ENTRY" || e.errno === 1062)) {
+      return res.status(409).json({ ok: false, error: "E-mail já cadastrado" });
+    }
+    const msg = String((e && e.message) || "");
+    const isTimeout = msg.includes("db_timeout");
+    console.error("[POST /usuarios]", e);
+    return res
+      .status(isTimeout ? 504 : 500)
+      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.put("/usuarios/:id", requireAdmin, async (req, res) => {
+  let conn;
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
+
+    const {
+      name,
+      email,
+      password,
+      type,
+      photo,
+      cidade_id,
+      telefone,
+      endereco,
+      numero,
+      bairro,
+      cep,
+      complemento,
+      avisos,
+      emails_avisos,
+    } = req.body || {};
+
+    const fields = [];
+    const params = [];
+
+    if (name != null) {
+      fields.push("name = ?");
+      params.push(String(name).trim());
+    }
+    if (email != null) {
+      fields.push("email = ?");
+      params.push(String(email).trim());
+    }
+    if (type != null) {
+      fields.push("type = ?");
+      params.push(Number(type));
+    }
+    if (photo !== undefined) {
+      fields.push("photo = ?");
+      params.push(photo ?? null);
+    }
+    if (cidade_id !== undefined) {
+      fields.push("cidade_id = ?");
+      params.push(cidade_id ?? null);
+    }
+    if (telefone !== undefined) {
+      fields.push("telefone = ?");
+      params.push(telefone ?? null);
+    }
+    if (endereco !== undefined) {
+      fields.push("endereco = ?");
+      params.push(endereco ?? null);
+    }
+    if (numero !== undefined) {
+      fields.push("numero = ?");
+      params.push(numero ?? null);
+    }
+    if (bairro !== undefined) {
+      fields.push("bairro = ?");
+      params.push(bairro ?? null);
+    }
+    if (cep !== undefined) {
+      const cepNorm = normalizeCep(cep);
+      if (cepNorm.error) {
+        return res.status(400).json({ ok: false, error: cepNorm.error });
+      }
+      fields.push("cep = ?");
+      params.push(cepNorm.value);
+    }
+    if (complemento !== undefined) {
+      fields.push("complemento = ?");
+      params.push(complemento ?? null);
+    }
+    if (avisos !== undefined) {
+      fields.push("avisos = ?");
+      params.push(avisos ? 1 : 0);
+    }
+    if (emails_avisos !== undefined) {
+      fields.push("emails_avisos = ?");
+      params.push(emails_avisos ?? null);
+    }
+
+    if (password) {
+      const hash = await bcrypt.hash(String(password), 10);
+      fields.push("password = ?");
+      params.push(hash);
+    }
+
+    if (fields.length === 0) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Nenhum campo para atualizar" });
+    }
+
+    conn = await withTimeout(pool.getConnection(), 8000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "usuario", id);
+    if (!antes) {
+      await conn.rollback();
+      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    }
+
+    // troca de e-mail => volta a "não verificado" e gera novo link
+    const emailChanged =
+      email != null &&
+      String(antes.email || "")
+        .trim()
+        .toLowerCase() !== String(email).trim().toLowerCase();
+    if (emailChanged) fields.push("email_verified_at = NULL");
+
+    fields.push("updated_at = NOW()");
+    params.push(id);
+
+    await withTimeout(
+      conn.execute(
+        `UPDATE users SET ${fields.join(", ")} WHERE id = ? LIMIT 1`,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "usuario",
+      entidadeId: id,
+      acao: "atualizar",
+      antes,
+      depois: await auditSnapshot(conn, "usuario", id),
+    });
+
+    await conn.commit();
+
+    let verificationSent;
+    if (emailChanged) {
+      verificationSent = await trySendEmailVerification(
+        pool,
+        { id, name: name ?? "", email: String(email).trim() },
+        "PUT /usuarios/:id"
+      );
+    }
+
+    return res.json({
+      ok: true,
+      id,
+      email_changed: emailChanged,
+      verification_sent: verificationSent,
+      message: "Usuário atualizado com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[PUT /usuarios/:id]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+app.delete("/usuarios/:id", requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "ID inválido" });
+  }
+
+  let conn;
+  try {
+    conn = await withTimeout(pool.getConnection(), 8000, "db_timeout");
+    await conn.beginTransaction();
+
+    const antes = await auditSnapshot(conn, "usuario", id);
+    if (!antes) {
+      await conn.rollback();
+      return res.status(404).json({
+        ok: false,
+        error: "Usuário não encontrado",
+      });
+    }
+
+    // máquinas que perdem o cliente também entram na auditoria
+    const [vinculos] = await withTimeout(
+      conn.execute(
+        "SELECT DISTINCT maquina_id FROM usuarios_equipamentos WHERE usuario_id = ? AND fim IS NULL",
+        [id]
+      ),
+      4000,
+      "db_timeout"
+    );
+    const maquinasAntes = [];
+    for (const v of vinculos) {
+      maquinasAntes.push(
+        await auditSnapshot(conn, "equipamento", v.maquina_id)
+      );
+    }
+
+    // 1️⃣ encerra vínculos com equipamentos (o histórico fica)
+    await encerrarVinculos(conn, { usuarioId: id });
+
+    // 2️⃣ remove o usuário definitivamente
+    await withTimeout(
+      conn.execute("DELETE FROM users WHERE id = ? LIMIT 1", [id]),
+      4000,
+      "db_timeout"
+    );
+
+    await registrarAuditoria(conn, req, {
+      entidade: "usuario",
+      entidadeId: id,
+      acao: "remover",
+      antes,
+    });
+    for (const maquina of maquinasAntes.filter(Boolean)) {
+      await registrarAuditoria(conn, req, {
+        entidade: "equipamento",
+        entidadeId: maquina.id,
+        acao: "atualizar",
+        antes: maquina,
+        depois: await auditSnapshot(conn, "equipamento", maquina.id),
+      });
+    }
+
+    await conn.commit();
+
+    return res.json({
+      ok: true,
+      message: "Usuário removido com sucesso",
+    });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("[DELETE /usuarios/:id]", e);
+    return res.status(500).json({
+      ok: false,
+      error: "Erro ao remover usuário",
+    });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// ===== Exportações (CSV/XLSX)
+// Mesmos filtros das listagens, sem teto de linhas: lê em lotes por id e
+// vai escrevendo na resposta. ?formato=csv (padrão) | xlsx
+const EXPORTACAO_LOTE = 1000;
+
+/** ?formato= -> "csv" | "xlsx" | null (inválido) */
+function parseFormatoExportacao(req) {
+  const formato = String(req.query.formato || "csv")
+    .trim()
+    .toLowerCase();
+  return FORMATOS_PLANILHA.includes(formato) ? formato : null;
+}
+
+/**
+ * Pagina por id (keyset) e escreve cada lote na planilha.
+ * colunas: [{ titulo, tipo?, valor: (row) => any }]; o SELECT precisa de `id`.
+ * Os headers do download só saem com o 1º lote: erro antes disso ainda vira JSON.
+ */
+async function exportarEmLotes(
+  res,
+  { formato, nome, colunas, select, from, where, params, idCol }
+) {
+  let planilha = null;
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT ${select}
+        ${from}
+        WHERE ${where.join("\n          AND ")}
+          AND ${idCol} > ?
+        ORDER BY ${idCol} ASC
+        LIMIT ${EXPORTACAO_LOTE}
+        `,
+        [...params, lastId]
+      ),
+      20000,
+      "db_timeout"
+    );
+
+    if (!planilha) {
+      planilha = createPlanilhaWriter(
+        res,
+        formato,
+        colunas,
+        `${nome}-${todayISO()}`
+      );
+    }
+    await planilha.write(rows.map((r) => colunas.map((c) => c.valor(r))));
 
-      const affected =
-        (result && result.affectedRows) ||
-        (Array.isArray(result) ? result[0]?.affectedRows : 0);
+    if (rows.length < EXPORTACAO_LOTE) break;
+    lastId = rows[rows.length - 1].id;
+  }
 
-      if (!affected) {
-        return res
-          .status(404)
-          .json({ ok: false, error: "Equipamento não encontrado." });
-      }
+  await planilha.end();
+}
 
-      return res.json({
-        ok: true,
-        hard: false,
-        message: "Equipamento desativado.",
-      });
+app.get("/exportacoes/equipamentos", async (req, res) => {
+  try {
+    const formato = parseFormatoExportacao(req);
+    if (!formato) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "formato inválido (csv ou xlsx)" });
+    }
+    const filters = buildEquipamentosFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ ok: false, error: filters.error });
     }
+
+    const admin = isAdmin(req.user);
+    const colunas = [
+      { titulo: "ID", tipo: "numero", valor: (r) => r.id },
+      { titulo: "Nome", valor: (r) => r.nome },
+      { titulo: "Número de série", valor: (r) => r.serialNumber },
+      { titulo: "Nota fiscal", valor: (r) => r.numeroNotaFiscal },
+      {
+        titulo: "Série do equipamento",
+        valor: (r) => r.numeroSerieEquipamento,
+      },
+      { titulo: "Modelo", valor: (r) => r.modelo_nome },
+      { titulo: "Status", valor: (r) => STATUS_LABELS[r.status] ?? r.status },
+      ...(admin ? [{ titulo: "Cliente", valor: (r) => r.cliente_nome }] : []),
+      { titulo: "Cidade", valor: (r) => r.cidade_nome },
+      { titulo: "UF", valor: (r) => r.cidade_uf },
+      { titulo: "CEP", valor: (r) => r.cep },
+      { titulo: "Bairro", valor: (r) => r.bairro },
+      { titulo: "Endereço", valor: (r) => r.endereco },
+      { titulo: "Número", valor: (r) => r.numero },
+      { titulo: "Complemento", valor: (r) => r.complemento },
+      {
+        titulo: "Data de instalação",
+        tipo: "data",
+        valor: (r) => r.data_instalacao,
+      },
+      {
+        titulo: "Intervalo de troca (dias)",
+        tipo: "numero",
+        valor: (r) => r.intervalo_troca_dias,
+      },
+      { titulo: "Observação", valor: (r) => r.observacao },
+      { titulo: "Criado em", tipo: "datahora", valor: (r) => r.created_at },
+      {
+        titulo: "Atualizado em",
+        tipo: "datahora",
+        valor: (r) => r.updated_at,
+      },
+    ];
+
+    await exportarEmLotes(res, {
+      formato,
+      nome: "equipamentos",
+      colunas,
+      select: `
+        m.id, m.nome, m.serialNumber, m.numeroNotaFiscal, m.numeroSerieEquipamento,
+        t.nome AS modelo_nome, m.status, vcli.name AS cliente_nome,
+        c.nome AS cidade_nome, c.uf AS cidade_uf,
+        m.cep, m.bairro, m.endereco, m.numero, m.complemento,
+        m.data_instalacao, m.intervalo_troca_dias, m.observacao,
+        m.created_at, m.updated_at
+      `,
+      from: `
+        FROM maquinas m
+        LEFT JOIN tipos t   ON t.id = m.tipo_id
+        LEFT JOIN cidades c ON c.id = m.cidade_id
+        LEFT JOIN usuarios_equipamentos vin ON vin.maquina_id = m.id AND vin.fim IS NULL
+        LEFT JOIN users vcli ON vcli.id = vin.usuario_id
+      `,
+      where: filters.where,
+      params: filters.params,
+      idCol: "m.id",
+    });
   } catch (e) {
-    const msg = String(e?.message || e);
-    const isTimeout = msg.includes("db_timeout");
-    console.error("[DELETE /equipamentos/:id]", e);
-    return res
-      .status(isTimeout ? 504 : 500)
-      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /exportacoes/equipamentos]", e);
+    if (res.headersSent) return res.destroy();
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
   }
 });
 
-app.get("/modelos", async (req, res) => {
+// colunas explícitas: password/remember_token nunca saem
+app.get("/exportacoes/usuarios", requireAdmin, async (req, res) => {
   try {
-    const { limit, offset } = parseLimitOffset(req);
-    const sql = `
-      SELECT id, nome, created_at, updated_at
-      FROM tipos
-      ORDER BY id DESC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-    const [rows] = await withTimeout(pool.query(sql), 6000, "db_timeout");
-    return res.json({ ok: true, data: rows, limit, offset });
+    const formato = parseFormatoExportacao(req);
+    if (!formato) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "formato inválido (csv ou xlsx)" });
+    }
+
+    const colunas = [
+      { titulo: "ID", tipo: "numero", valor: (r) => r.id },
+      { titulo: "Nome", valor: (r) => r.name },
+      { titulo: "E-mail", valor: (r) => r.email },
+      { titulo: "Telefone", valor: (r) => r.telefone },
+      {
+        titulo: "Perfil",
+        valor: (r) =>
+          Number(r.type) === USER_TYPE_ADMIN ? "administrador" : "cliente",
+      },
+      { titulo: "Cidade", valor: (r) => r.cidade_nome },
+      { titulo: "UF", valor: (r) => r.cidade_uf },
+      { titulo: "CEP", valor: (r) => r.cep },
+      { titulo: "Bairro", valor: (r) => r.bairro },
+      { titulo: "Endereço", valor: (r) => r.endereco },
+      { titulo: "Número", valor: (r) => r.numero },
+      { titulo: "Complemento", valor: (r) => r.complemento },
+      {
+        titulo: "Equipamentos vinculados",
+        tipo: "numero",
+        valor: (r) => r.equipamentos,
+      },
+      {
+        titulo: "E-mail verificado em",
+        tipo: "datahora",
+        valor: (r) => r.email_verified_at,
+      },
+      { titulo: "Criado em", tipo: "datahora", valor: (r) => r.created_at },
+      {
+        titulo: "Atualizado em",
+        tipo: "datahora",
+        valor: (r) => r.updated_at,
+      },
+    ];
+
+    await exportarEmLotes(res, {
+      formato,
+      nome: "usuarios",
+      colunas,
+      select: `
+        u.id, u.name, u.email, u.telefone, u.type,
+        c.nome AS cidade_nome, c.uf AS cidade_uf,
+        u.cep, u.bairro, u.endereco, u.numero, u.complemento,
+        (
+          SELECT COUNT(*)
+          FROM usuarios_equipamentos ue
+          JOIN maquinas m ON m.id = ue.maquina_id
+          WHERE ue.usuario_id = u.id AND ue.fim IS NULL AND m.status <> 3
+        ) AS equipamentos,
+        u.email_verified_at, u.created_at, u.updated_at
+      `,
+      from: `
+        FROM users u
+        LEFT JOIN cidades c ON c.id = u.cidade_id
+      `,
+      where: ["1 = 1"],
+      params: [],
+      idCol: "u.id",
+    });
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[GET /modelos]", e);
+    console.error("[GET /exportacoes/usuarios]", e);
+    if (res.headersSent) return res.destroy();
     return res.status(isTimeout ? 504 : 500).json({
       ok: false,
       error: isTimeout ? "MySQL timeout" : String(e.message || e),
@@ -1038,66 +7422,193 @@ app.get("/modelos", async (req, res) => {
   }
 });
 
-app.post("/modelos", async (req, res) => {
+// histórico de trocas; ?maquina_id=1,2 &usuario_id= (cliente na data) &de &ate
+app.get("/exportacoes/filtros", async (req, res) => {
   try {
-    const { nome } = req.body || {};
-    if (!nome || !String(nome).trim()) {
+    const formato = parseFormatoExportacao(req);
+    if (!formato) {
       return res
         .status(400)
-        .json({ ok: false, error: "Campo 'nome' é obrigatório" });
+        .json({ ok: false, error: "formato inválido (csv ou xlsx)" });
     }
 
-    const [result] = await withTimeout(
-      pool.execute(
-        `INSERT INTO tipos (nome, created_at, updated_at) VALUES (?, NOW(), NOW())`,
-        [String(nome).trim()]
-      ),
-      6000,
-      "db_timeout"
-    );
+    const { de, ate } = req.query;
+    if ((de && !isValidISODate(de)) || (ate && !isValidISODate(ate))) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Use 'de'/'ate' no formato YYYY-MM-DD" });
+    }
 
-    return res.status(201).json({
-      ok: true,
-      id: result.insertId,
-      message: "Modelo cadastrado com sucesso",
+    const admin = isAdmin(req.user);
+    const scope = maquinaScope(req.user);
+    const where = ["m.status <> 3", scope.sql];
+    const params = [...scope.params];
+
+    const maquinaIds = queryList(req.query.maquina_id).map(Number);
+    if (maquinaIds.length) {
+      if (!maquinaIds.every((n) => Number.isInteger(n) && n > 0)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "maquina_id inválido" });
+      }
+      where.push("f.maquina_id IN (?)");
+      params.push(maquinaIds);
+    }
+
+    if (req.query.usuario_id != null && req.query.usuario_id !== "") {
+      const uid = Number(req.query.usuario_id);
+      if (!Number.isInteger(uid) || uid <= 0) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "usuario_id inválido" });
+      }
+      if (!admin && uid !== req.user.id) {
+        return res.status(403).json({ ok: false, error: "Acesso negado" });
+      }
+      where.push("fue.usuario_id = ?");
+      params.push(uid);
+    }
+
+    if (de) {
+      where.push("f.data >= ?");
+      params.push(de);
+    }
+    if (ate) {
+      where.push("f.data <= ?");
+      params.push(ate);
+    }
+
+    const colunas = [
+      { titulo: "ID", tipo: "numero", valor: (r) => r.id },
+      { titulo: "Equipamento", valor: (r) => r.maquina_nome },
+      { titulo: "Número de série", valor: (r) => r.serialNumber },
+      ...(admin ? [{ titulo: "Cliente", valor: (r) => r.cliente_nome }] : []),
+      { titulo: "Data da troca", tipo: "data", valor: (r) => r.data },
+      { titulo: "Tipo", valor: (r) => r.tipo },
+      { titulo: "Filtro", valor: (r) => r.nome },
+      { titulo: "Vazão", valor: (r) => r.vazao },
+      { titulo: "Registrado por", valor: (r) => r.created_by_nome },
+      {
+        titulo: "Registrado em",
+        tipo: "datahora",
+        valor: (r) => r.created_at,
+      },
+    ];
+
+    await exportarEmLotes(res, {
+      formato,
+      nome: "filtros",
+      colunas,
+      select: `
+        f.id, m.nome AS maquina_nome, m.serialNumber, fcli.name AS cliente_nome,
+        f.data, f.tipo, f.nome, f.vazao, cu.name AS created_by_nome, f.created_at
+      `,
+      from: `
+        FROM filtros f
+        JOIN maquinas m ON m.id = f.maquina_id
+        LEFT JOIN users cu ON cu.id = f.created_by
+        ${filtroClienteJoin()}
+      `,
+      where,
+      params,
+      idCol: "f.id",
     });
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[POST /modelos]", e);
-    return res
-      .status(isTimeout ? 504 : 500)
-      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+    console.error("[GET /exportacoes/filtros]", e);
+    if (res.headersSent) return res.destroy();
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
   }
 });
 
-app.put("/modelos/:id", async (req, res) => {
+// ===== Etiquetas (QR) e cartão público por número de série
+// O QR aponta para GET /p/:serialNumber em PUBLIC_API_URL (endereço público
+// fixo desta API: vai impresso, não pode depender do Host da requisição).
+// Serial corrigido depois da impressão continua resolvendo (seriais antigos).
+const ETIQUETAS_MAX = 300;
+const PUBLIC_API_URL = String(process.env.PUBLIC_API_URL || "").replace(
+  /\/+$/,
+  ""
+);
+
+if (!PUBLIC_API_URL) {
+  console.warn(
+    "[etiquetas] PUBLIC_API_URL não configurado: etiquetas com QR vão falhar"
+  );
+}
+
+function urlPublicaMaquina(serialNumber) {
+  return `${PUBLIC_API_URL}/p/${encodeURIComponent(String(serialNumber).trim())}`;
+}
+
+/** Máquinas (no escopo, fora da lixeira) -> dados da etiqueta, na ordem dos ids */
+async function findEtiquetas(req, ids) {
+  const scope = maquinaScope(req.user);
+  const [rows] = await withTimeout(
+    pool.query(
+      `
+      SELECT m.id, m.nome, m.serialNumber, t.nome AS modelo_nome
+      FROM maquinas m
+      LEFT JOIN tipos t ON t.id = m.tipo_id
+      WHERE m.id IN (?)
+        AND m.status <> 3
+        AND ${scope.sql}
+      `,
+      [ids, ...scope.params]
+    ),
+    6000,
+    "db_timeout"
+  );
+  const porId = new Map(rows.map((r) => [Number(r.id), r]));
+  return ids.map((id) => {
+    const m = porId.get(id);
+    if (!m) return null;
+    return {
+      id,
+      nome: m.nome,
+      serialNumber: m.serialNumber,
+      modelo: m.modelo_nome,
+      url: urlPublicaMaquina(m.serialNumber),
+    };
+  });
+}
+
+// ?formato=svg (etiqueta com texto, padrão) | png (só o QR)
+app.get("/equipamentos/:id/etiqueta", async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const { nome } = req.body || {};
     if (!Number.isInteger(id) || id <= 0) {
       return res.status(400).json({ ok: false, error: "ID inválido" });
     }
-    if (!nome || !String(nome).trim()) {
+    if (!PUBLIC_API_URL) {
+      return res
+        .status(500)
+        .json({ ok: false, error: "PUBLIC_API_URL não configurado" });
+    }
+    const formato = String(req.query.formato || "svg").toLowerCase();
+    if (!["svg", "png"].includes(formato)) {
       return res
         .status(400)
-        .json({ ok: false, error: "Campo 'nome' é obrigatório" });
+        .json({ ok: false, error: "formato inválido (svg ou png)" });
     }
 
-    const [r] = await withTimeout(
-      pool.execute(
-        "UPDATE tipos SET nome = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
-        [String(nome).trim(), id]
-      ),
-      6000,
-      "db_timeout"
-    );
-    if (r.affectedRows === 0) {
-      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    const [etiqueta] = await findEtiquetas(req, [id]);
+    if (!etiqueta) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
     }
-    return res.json({ ok: true, id, message: "Modelo atualizado com sucesso" });
+
+    if (formato === "png") {
+      return res.type("png").send(await qrPng(etiqueta.url));
+    }
+    return res.type("svg").send(etiquetaSvg(etiqueta));
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[PUT /modelos/:id]", e);
+    console.error("[GET /equipamentos/:id/etiqueta]", e);
     return res.status(isTimeout ? 504 : 500).json({
       ok: false,
       error: isTimeout ? "MySQL timeout" : String(e.message || e),
@@ -1105,250 +7616,556 @@ app.put("/modelos/:id", async (req, res) => {
   }
 });
 
-app.delete("/modelos/:id", async (req, res) => {
+// lote: ?ids=1,2,3 -> uma folha SVG (3 etiquetas por linha)
+app.get("/etiquetas/equipamentos", async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
+    if (!PUBLIC_API_URL) {
+      return res
+        .status(500)
+        .json({ ok: false, error: "PUBLIC_API_URL não configurado" });
+    }
+    const ids = [...new Set(queryList(req.query.ids).map(Number))];
+    if (!ids.length || !ids.every((n) => Number.isInteger(n) && n > 0)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Informe ids (ex.: ?ids=1,2,3)" });
+    }
+    if (ids.length > ETIQUETAS_MAX) {
+      return res.status(400).json({
+        ok: false,
+        error: `Máximo de ${ETIQUETAS_MAX} etiquetas por folha.`,
+      });
     }
 
-    const [r] = await withTimeout(
-      pool.execute("DELETE FROM tipos WHERE id = ? LIMIT 1", [id]),
-      6000,
-      "db_timeout"
-    );
-    if (r.affectedRows === 0) {
-      return res.status(404).json({ ok: false, error: "Não encontrado" });
+    const etiquetas = await findEtiquetas(req, ids);
+    const naoEncontrados = ids.filter((id, i) => !etiquetas[i]);
+    if (naoEncontrados.length) {
+      return res.status(404).json({
+        ok: false,
+        error: "Equipamento(s) não encontrado(s).",
+        ids: naoEncontrados,
+      });
     }
-    return res.json({
-      ok: true,
-      hard: true,
-      message: "Modelo removido definitivamente",
-    });
+
+    return res.type("svg").send(folhaEtiquetasSvg(etiquetas));
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[DELETE /modelos/:id]", e);
-    return res
-      .status(isTimeout ? 504 : 500)
-      .json({ ok: false, error: isTimeout ? "MySQL timeout" : e.message });
+    console.error("[GET /etiquetas/equipamentos]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
   }
 });
 
-app.get("/usuarios", async (req, res) => {
+/**
+ * Público (sem token): cartão mínimo do QR, pelo serial atual ou antigo.
+ * Só modelo, status e última troca; nada de cliente nem endereço.
+ * Lixeira (status 3) = não encontrado.
+ * Navegador recebe HTML; o resto, JSON.
+ */
+app.get("/p/:serialNumber", async (req, res) => {
   try {
-    const { limit, offset } = parseLimitOffset(req);
-    const sql = `
-      SELECT id, name, email, email_verified_at, photo, type, created_at, updated_at
-      FROM users
-      ORDER BY created_at DESC
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-    const [rows] = await withTimeout(pool.query(sql), 6000, "db_timeout");
-    return res.json({ ok: true, data: rows, limit, offset });
+    const serial = String(req.params.serialNumber || "").trim();
+    if (!serial || serial.length > 100) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const [rows] = await withTimeout(
+      pool.execute(
+        `
+        SELECT
+          m.serialNumber,
+          t.nome AS modelo,
+          m.status,
+          (SELECT MAX(f.data) FROM filtros f WHERE f.maquina_id = m.id) AS ultima_troca_filtro
+        FROM maquinas m
+        LEFT JOIN tipos t ON t.id = m.tipo_id
+        WHERE m.status <> 3
+          AND (
+            TRIM(m.serialNumber) = ?
+            OR m.id IN (
+              SELECT s.maquina_id FROM maquinas_seriais_antigos s WHERE s.serialNumber = ?
+            )
+          )
+        ORDER BY (TRIM(m.serialNumber) = ?) DESC, m.id DESC
+        LIMIT 1
+        `,
+        [serial, serial, serial]
+      ),
+      4000,
+      "db_timeout"
+    );
+    if (!rows.length) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Equipamento não encontrado." });
+    }
+
+    const r = rows[0];
+    const ultima =
+      r.ultima_troca_filtro instanceof Date
+        ? r.ultima_troca_filtro.toISOString().slice(0, 10)
+        : r.ultima_troca_filtro || null;
+    const card = {
+      serialNumber: r.serialNumber,
+      modelo: r.modelo || null,
+      status: STATUS_LABELS[r.status] ?? null,
+      ultima_troca_filtro: ultima,
+    };
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.format({
+      html: () => {
+        const esc = (v) =>
+          String(v ?? "—").replace(
+            /[&<>"]/g,
+            (ch) =>
+              ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]
+          );
+        const dataBr = ultima ? ultima.split("-").reverse().join("/") : null;
+        res.send(
+          '<!doctype html><html lang="pt-BR"><head><meta charset="utf-8">' +
+            '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+            `<title>${esc(card.serialNumber)}</title></head>` +
+            '<body style="font-family:Arial,Helvetica,sans-serif;max-width:420px;margin:2rem auto;padding:0 1rem">' +
+            `<h1 style="font-size:1.3rem">S/N ${esc(card.serialNumber)}</h1>` +
+            "<dl>" +
+            `<dt>Modelo</dt><dd>${esc(card.modelo)}</dd>` +
+            `<dt>Status</dt><dd>${esc(card.status)}</dd>` +
+            `<dt>Última troca de filtro</dt><dd>${esc(dataBr)}</dd>` +
+            "</dl></body></html>"
+        );
+      },
+      default: () => res.json({ ok: true, data: card }),
+    });
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[GET /usuarios]", e);
+    console.error("[GET /p/:serialNumber]", e);
     return res.status(isTimeout ? 504 : 500).json({
       ok: false,
-      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+      error: isTimeout ? "MySQL timeout" : "Erro ao consultar equipamento",
     });
   }
 });
 
-app.post("/usuarios", async (req, res) => {
+// ===== Auditoria (consulta)
+app.get("/auditoria", requireAdmin, async (req, res) => {
   try {
-    const {
-      name,
-      email,
-      password,
-      type,
-      cidade_id,
-      telefone,
-      endereco,
-      numero,
-      bairro,
-      cep,
-      complemento,
-      photo,
-      avisos,
-      emails_avisos,
-    } = req.body || {};
+    const { limit, offset } = parseLimitOffset(req);
+    const q = req.query;
+    const where = [];
+    const params = [];
 
-    const missing = [];
-    if (!name) missing.push("name");
-    if (!email) missing.push("email");
-    if (!password) missing.push("password");
-    if (missing.length) {
-      return res.status(400).json({
-        ok: false,
-        error: `Campos obrigatórios ausentes: ${missing.join(", ")}`,
-      });
+    if (q.entidade) {
+      if (!Object.hasOwn(AUDITORIA_TABELAS, q.entidade)) {
+        return res.status(400).json({
+          ok: false,
+          error: `entidade inválida (${Object.keys(AUDITORIA_TABELAS).join(", ")})`,
+        });
+      }
+      where.push("a.entidade = ?");
+      params.push(q.entidade);
+    }
+    if (q.acao) {
+      if (!AUDITORIA_ACOES.includes(q.acao)) {
+        return res.status(400).json({
+          ok: false,
+          error: `acao inválida (${AUDITORIA_ACOES.join(", ")})`,
+        });
+      }
+      where.push("a.acao = ?");
+      params.push(q.acao);
+    }
+    for (const [key, col] of [
+      ["entidade_id", "a.entidade_id"],
+      ["usuario_id", "a.usuario_id"],
+    ]) {
+      if (q[key] == null || q[key] === "") continue;
+      const value = Number(q[key]);
+      if (!Number.isInteger(value) || value <= 0) {
+        return res.status(400).json({ ok: false, error: `${key} inválido` });
+      }
+      where.push(`${col} = ?`);
+      params.push(value);
     }
+    if (q.de) {
+      if (!isValidISODate(q.de)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "de inválido (YYYY-MM-DD)" });
+      }
+      where.push("a.created_at >= ?");
+      params.push(String(q.de));
+    }
+    if (q.ate) {
+      if (!isValidISODate(q.ate)) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "ate inválido (YYYY-MM-DD)" });
+      }
+      where.push("a.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+      params.push(String(q.ate));
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM auditoria a ${whereSql}`,
+        params
+      ),
+      4000,
+      "db_timeout"
+    );
+
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          a.id,
+          a.entidade,
+          a.entidade_id,
+          a.acao,
+          a.alteracoes,
+          a.usuario_id,
+          u.name AS usuario_nome,
+          u.email AS usuario_email,
+          a.created_at
+        FROM auditoria a
+        LEFT JOIN users u ON u.id = a.usuario_id
+        ${whereSql}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
+
+    return res.json({
+      ok: true,
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
+    });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[GET /auditoria]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
 
-    const hash = await bcrypt.hash(String(password), 10);
+// ===== Notificações (aviso de troca de filtro)
+// Roda periodicamente: máquinas vinculadas com filtro vencido ou vencendo em
+// NOTIFICACOES_ANTECEDENCIA_DIAS recebem 1 aviso por ciclo (proxima_troca).
+const NOTIFICACOES_INTERVALO_MIN = Number(
+  process.env.NOTIFICACOES_INTERVALO_MIN ?? 60
+);
+const NOTIFICACOES_ANTECEDENCIA_DIAS = Number(
+  process.env.NOTIFICACOES_ANTECEDENCIA_DIAS ?? 7
+);
+const NOTIFICACOES_MAX_TENTATIVAS = 3;
+// "pendente" parado há mais que isso = envio interrompido (queda no meio)
+const NOTIFICACOES_PENDENTE_EXPIRA_MIN = 30;
+const NOTIFICACOES_ERRO_INTERROMPIDO =
+  "Envio interrompido; o e-mail pode ter sido entregue. Reenvie manualmente.";
+
+/** Junta e-mail do cliente + users.emails_avisos (separados por , ; ou espaço) */
+function parseDestinatarios(emailPrincipal, emailsAvisos) {
+  const all = [emailPrincipal, ...String(emailsAvisos || "").split(/[,;\s]+/)]
+    .map((e) =>
+      String(e || "")
+        .trim()
+        .toLowerCase()
+    )
+    .filter((e) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e));
+  return [...new Set(all)];
+}
 
-    const [result] = await withTimeout(
+/**
+ * Reserva o envio (maquina, ciclo). Retorna o id da notificação ou null se
+ * já foi enviada (ou esgotou as tentativas).
+ */
+async function claimNotificacao(pool, item, destinatarios) {
+  try {
+    const [r] = await withTimeout(
       pool.execute(
         `
-        INSERT INTO users
-          (cidade_id, name, email, email_verified_at, password, telefone, endereco, numero, bairro, cep, complemento, type, photo, remember_token, created_at, updated_at, avisos, emails_avisos)
+        INSERT INTO notificacoes
+          (tipo, maquina_id, usuario_id, ciclo_data, destinatarios, status, tentativas, created_at, updated_at)
         VALUES
-          (?, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, NOW(), NOW(), ?, ?)
+          ('filtro_vencimento', ?, ?, ?, ?, 'pendente', 1, NOW(), NOW())
         `,
-        [
-          cidade_id ?? null,
-          String(name).trim(),
-          String(email).trim(),
-          hash,
-          telefone ?? null,
-          endereco ?? null,
-          numero ?? null,
-          bairro ?? null,
-          cep ?? null,
-          complemento ?? null,
-          type == null ? null : Number(type),
-          photo ?? null,
-          avisos == null ? 1 : Number(avisos) ? 1 : 0,
-          emails_avisos ?? null,
-        ]
+        [item.id, item.cliente_id, item.proxima_troca, destinatarios.join(", ")]
       ),
-      8000,
+      4000,
       "db_timeout"
     );
-
-    return res.status(201).json({
-      ok: true,
-      id: result.insertId,
-      message: "Usuário cadastrado com sucesso",
-    });
+    return r.insertId;
   } catch (e) {
-    if (e && (e.code === "ER_DUP_ENTRY" || e.errno === 1062)) {
-      return res.status(409).json({ ok: false, error: "E-mail já cadastrado" });
-    }
-    const msg = String((e && e.message) || "");
-    const isTimeout = msg.includes("db_timeout");
-    console.error("[POST /usuarios]", e);
-    return res
-      .status(isTimeout ? 504 : 500)
-      .json({ ok: false, error: isTimeout ? "MySQL timeout" : msg });
+    if (!(e && (e.code === "ER_DUP_ENTRY" || e.errno === 1062))) throw e;
   }
-});
 
-app.put("/usuarios/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) {
-      return res.status(400).json({ ok: false, error: "ID inválido" });
-    }
+  // já existe: tenta de novo se a última tentativa deu erro
+  const [r] = await withTimeout(
+    pool.execute(
+      `
+      UPDATE notificacoes
+         SET status = 'pendente',
+             tentativas = tentativas + 1,
+             destinatarios = ?,
+             updated_at = NOW()
+       WHERE tipo = 'filtro_vencimento'
+         AND maquina_id = ?
+         AND ciclo_data = ?
+         AND status = 'erro'
+         AND tentativas < ?
+       LIMIT 1
+      `,
+      [
+        destinatarios.join(", "),
+        item.id,
+        item.proxima_troca,
+        NOTIFICACOES_MAX_TENTATIVAS,
+      ]
+    ),
+    4000,
+    "db_timeout"
+  );
+  if (!r.affectedRows) return null;
 
-    const {
-      name,
-      email,
-      password,
-      type,
-      photo,
-      cidade_id,
-      telefone,
-      endereco,
-      numero,
-      bairro,
-      cep,
-      complemento,
-      avisos,
-      emails_avisos,
-    } = req.body || {};
+  const [rows] = await withTimeout(
+    pool.execute(
+      "SELECT id FROM notificacoes WHERE tipo = 'filtro_vencimento' AND maquina_id = ? AND ciclo_data = ? LIMIT 1",
+      [item.id, item.proxima_troca]
+    ),
+    4000,
+    "db_timeout"
+  );
+  return rows[0]?.id ?? null;
+}
 
-    const fields = [];
-    const params = [];
+function formatDateBR(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value ?? "");
+  return d.toLocaleDateString("pt-BR", { timeZone: "UTC" });
+}
 
-    if (name != null) {
-      fields.push("name = ?");
-      params.push(String(name).trim());
-    }
-    if (email != null) {
-      fields.push("email = ?");
-      params.push(String(email).trim());
-    }
-    if (type != null) {
-      fields.push("type = ?");
-      params.push(Number(type));
-    }
-    if (photo !== undefined) {
-      fields.push("photo = ?");
-      params.push(photo ?? null);
-    }
-    if (cidade_id !== undefined) {
-      fields.push("cidade_id = ?");
-      params.push(cidade_id ?? null);
-    }
-    if (telefone !== undefined) {
-      fields.push("telefone = ?");
-      params.push(telefone ?? null);
-    }
-    if (endereco !== undefined) {
-      fields.push("endereco = ?");
-      params.push(endereco ?? null);
-    }
-    if (numero !== undefined) {
-      fields.push("numero = ?");
-      params.push(numero ?? null);
-    }
-    if (bairro !== undefined) {
-      fields.push("bairro = ?");
-      params.push(bairro ?? null);
+/**
+ * "pendente" parado = o processo caiu entre o envio e o UPDATE; o e-mail pode
+ * ter saído, então não reenvia sozinho: vira erro sem novas tentativas
+ * automáticas (POST /notificacoes/:id/reenviar libera).
+ */
+async function encerrarNotificacoesInterrompidas(pool) {
+  await withTimeout(
+    pool.execute(
+      `
+      UPDATE notificacoes
+         SET status = 'erro', erro = ?, tentativas = ?, updated_at = NOW()
+       WHERE status = 'pendente'
+         AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      `,
+      [
+        NOTIFICACOES_ERRO_INTERROMPIDO,
+        NOTIFICACOES_MAX_TENTATIVAS,
+        NOTIFICACOES_PENDENTE_EXPIRA_MIN,
+      ]
+    ),
+    4000,
+    "db_timeout"
+  );
+}
+
+/** Uma rodada de avisos; retorna contadores */
+async function runFiltroNotificacoes(pool) {
+  await encerrarNotificacoesInterrompidas(pool);
+
+  const base = filtroVencimentoSql({ sql: "1 = 1", params: [] });
+
+  // só cliente vinculado, com avisos ligados e e-mail verificado
+  const [items] = await withTimeout(
+    pool.query(
+      `
+      SELECT v.*, u.avisos, u.emails_avisos
+      FROM (${base.sql}) v
+      JOIN users u ON u.id = v.cliente_id
+      WHERE v.dias_restantes <= ?
+        AND v.status IN (0, 1)
+        AND u.avisos = 1
+        AND u.email_verified_at IS NOT NULL
+      ORDER BY v.proxima_troca ASC
+      `,
+      [...base.params, NOTIFICACOES_ANTECEDENCIA_DIAS]
+    ),
+    20000,
+    "db_timeout"
+  );
+
+  const stats = {
+    candidatos: items.length,
+    enviados: 0,
+    ignorados: 0,
+    erros: 0,
+  };
+
+  for (const item of items) {
+    const destinatarios = parseDestinatarios(
+      item.cliente_email,
+      item.emails_avisos
+    );
+    if (!destinatarios.length) {
+      stats.ignorados++;
+      continue;
     }
-    if (cep !== undefined) {
-      fields.push("cep = ?");
-      params.push(cep ?? null);
+
+    const notificacaoId = await claimNotificacao(pool, item, destinatarios);
+    if (!notificacaoId) {
+      stats.ignorados++;
+      continue;
     }
-    if (complemento !== undefined) {
-      fields.push("complemento = ?");
-      params.push(complemento ?? null);
+
+    const vencido = item.dias_restantes < 0;
+    try {
+      await getMailer().send({
+        to: destinatarios.join(", "),
+        subject: vencido
+          ? `ICEHOT - Troca de filtro vencida (${item.nome})`
+          : `ICEHOT - Troca de filtro em ${item.dias_restantes} dia(s) (${item.nome})`,
+        text:
+          `Olá, ${item.cliente_nome || ""}\n\n` +
+          `Equipamento: ${item.nome} (série ${item.serialNumber})\n` +
+          `Última troca: ${formatDateBR(item.ultima_troca)}\n` +
+          `Próxima troca: ${formatDateBR(item.proxima_troca)}` +
+          (vencido ? ` (vencida há ${-item.dias_restantes} dia(s))` : "") +
+          `\n\nEntre em contato com a ICEHOT para agendar a troca.`,
+      });
+
+      await pool.execute(
+        "UPDATE notificacoes SET status = 'enviado', erro = NULL, enviado_em = NOW(), updated_at = NOW() WHERE id = ? LIMIT 1",
+        [notificacaoId]
+      );
+      stats.enviados++;
+    } catch (e) {
+      console.error("[notificacoes] falha no envio", item.id, e);
+      await pool.execute(
+        "UPDATE notificacoes SET status = 'erro', erro = ?, updated_at = NOW() WHERE id = ? LIMIT 1",
+        [String(e?.message || e).slice(0, 500), notificacaoId]
+      );
+      stats.erros++;
     }
-    if (avisos !== undefined) {
-      fields.push("avisos = ?");
-      params.push(avisos ? 1 : 0);
+  }
+
+  return stats;
+}
+
+let notificacoesRunning = false;
+/** Evita rodadas sobrepostas (timer + disparo manual) */
+async function runFiltroNotificacoesOnce() {
+  if (notificacoesRunning) return null;
+  notificacoesRunning = true;
+  try {
+    return await runFiltroNotificacoes(pool);
+  } finally {
+    notificacoesRunning = false;
+  }
+}
+
+app.get("/notificacoes", async (req, res) => {
+  try {
+    const { limit, offset } = parseLimitOffset(req);
+
+    const where = ["1 = 1"];
+    const params = [];
+
+    // cliente só vê os avisos que recebeu
+    if (!isAdmin(req.user)) {
+      where.push("n.usuario_id = ?");
+      params.push(req.user.id);
+    } else if (req.query.usuario_id) {
+      where.push("n.usuario_id = ?");
+      params.push(Number(req.query.usuario_id));
     }
-    if (emails_avisos !== undefined) {
-      fields.push("emails_avisos = ?");
-      params.push(emails_avisos ?? null);
+    if (req.query.maquina_id) {
+      where.push("n.maquina_id = ?");
+      params.push(Number(req.query.maquina_id));
     }
-
-    if (password) {
-      const hash = await bcrypt.hash(String(password), 10);
-      fields.push("password = ?");
-      params.push(hash);
+    if (req.query.status) {
+      where.push("n.status = ?");
+      params.push(String(req.query.status));
     }
-
-    if (fields.length === 0) {
+    const { de, ate } = req.query;
+    if ((de && !isValidISODate(de)) || (ate && !isValidISODate(ate))) {
       return res
         .status(400)
-        .json({ ok: false, error: "Nenhum campo para atualizar" });
+        .json({ ok: false, error: "Use 'de'/'ate' no formato YYYY-MM-DD" });
+    }
+    if (de) {
+      where.push("n.created_at >= ?");
+      params.push(String(de));
+    }
+    if (ate) {
+      where.push("n.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+      params.push(String(ate));
     }
 
-    fields.push("updated_at = NOW()");
-    params.push(id);
+    const [[countRow]] = await withTimeout(
+      pool.query(
+        `SELECT COUNT(*) AS total FROM notificacoes n WHERE ${where.join(" AND ")}`,
+        params
+      ),
+      6000,
+      "db_timeout"
+    );
 
-    const [r] = await withTimeout(
-      pool.execute(
-        `UPDATE users SET ${fields.join(", ")} WHERE id = ? LIMIT 1`,
+    const [rows] = await withTimeout(
+      pool.query(
+        `
+        SELECT
+          n.id,
+          n.tipo,
+          n.maquina_id,
+          m.nome AS maquina_nome,
+          m.serialNumber,
+          n.usuario_id,
+          u.name AS usuario_nome,
+          n.ciclo_data,
+          n.destinatarios,
+          n.status,
+          n.tentativas,
+          n.erro,
+          n.enviado_em,
+          n.created_at
+        FROM notificacoes n
+        LEFT JOIN maquinas m ON m.id = n.maquina_id
+        LEFT JOIN users u    ON u.id = n.usuario_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
         params
       ),
-      8000,
+      6000,
       "db_timeout"
     );
 
-    if (r.affectedRows === 0) {
-      return res.status(404).json({ ok: false, error: "Não encontrado" });
-    }
     return res.json({
       ok: true,
-      id,
-      message: "Usuário atualizado com sucesso",
+      data: rows,
+      total: Number(countRow?.total || 0),
+      limit,
+      offset,
     });
   } catch (e) {
     const isTimeout = e && String(e.message).includes("db_timeout");
-    console.error("[PUT /usuarios/:id]", e);
+    console.error("[GET /notificacoes]", e);
     return res.status(isTimeout ? 504 : 500).json({
       ok: false,
       error: isTimeout ? "MySQL timeout" : String(e.message || e),
@@ -1356,46 +8173,61 @@ app.put("/usuarios/:id", async (req, res) => {
   }
 });
 
-app.delete("/usuarios/:id", async (req, res) => {
-  const id = Number(req.params.id);
-
-  if (!Number.isInteger(id) || id <= 0) {
-    return res.status(400).json({ ok: false, error: "ID inválido" });
-  }
-
+// reenvio manual de um aviso com erro: zera as tentativas e a próxima rodada
+// manda de novo (se a máquina ainda estiver no prazo de aviso)
+app.post("/notificacoes/:id/reenviar", requireAdmin, async (req, res) => {
   try {
-    // 1️⃣ remove vínculos com equipamentos
-    await withTimeout(
-      pool.execute("DELETE FROM usuarios_equipamentos WHERE usuario_id = ?", [
-        id,
-      ]),
-      8000,
-      "db_timeout"
-    );
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "ID inválido" });
+    }
 
-    // 2️⃣ remove o usuário definitivamente
     const [r] = await withTimeout(
-      pool.execute("DELETE FROM users WHERE id = ? LIMIT 1", [id]),
-      8000,
+      pool.execute(
+        "UPDATE notificacoes SET tentativas = 0, updated_at = NOW() WHERE id = ? AND status = 'erro' LIMIT 1",
+        [id]
+      ),
+      4000,
       "db_timeout"
     );
-
-    if (r.affectedRows === 0) {
+    if (!r.affectedRows) {
       return res.status(404).json({
         ok: false,
-        error: "Usuário não encontrado",
+        error: "Aviso com erro não encontrado",
       });
     }
 
     return res.json({
       ok: true,
-      message: "Usuário removido com sucesso",
+      id,
+      message: "Aviso liberado para a próxima rodada",
     });
   } catch (e) {
-    console.error("[DELETE /usuarios/:id]", e);
-    return res.status(500).json({
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[POST /notificacoes/:id/reenviar]", e);
+    return res.status(isTimeout ? 504 : 500).json({
       ok: false,
-      error: "Erro ao remover usuário",
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
+    });
+  }
+});
+
+// disparo manual (ex.: Cloud Scheduler, já que o Cloud Run pode hibernar)
+app.post("/notificacoes/executar", requireAdmin, async (_req, res) => {
+  try {
+    const stats = await runFiltroNotificacoesOnce();
+    if (!stats) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Rodada de avisos já em andamento" });
+    }
+    return res.json({ ok: true, ...stats });
+  } catch (e) {
+    const isTimeout = e && String(e.message).includes("db_timeout");
+    console.error("[POST /notificacoes/executar]", e);
+    return res.status(isTimeout ? 504 : 500).json({
+      ok: false,
+      error: isTimeout ? "MySQL timeout" : String(e.message || e),
     });
   }
 });
@@ -1404,16 +8236,64 @@ app.delete("/usuarios/:id", async (req, res) => {
 const port = Number(process.env.PORT || 8080);
 const host = "0.0.0.0";
 
-const server = app.listen(port, host, () => {
-  console.log(`ICEHOT API rodando em http://${host}:${port}`);
-});
+/**
+ * Sobe só com o schema em dia (npm run migrate).
+ * SKIP_SCHEMA_CHECK=1 pula a verificação (ex.: diagnóstico sem banco).
+ */
+async function checkSchema() {
+  if (process.env.SKIP_SCHEMA_CHECK === "1") return;
 
-server.on("listening", () => {
-  console.log("[listen] ok");
-});
+  let problems;
+  try {
+    const conn = await withTimeout(pool.getConnection(), 8000, "db_timeout");
+    try {
+      problems = await schemaProblems(conn);
+    } finally {
+      conn.release();
+    }
+  } catch (e) {
+    console.error(
+      "[schema] não foi possível verificar as migrations:",
+      e.message || e
+    );
+    process.exit(1);
+  }
+
+  if (problems.length) {
+    console.error(
+      "[schema] banco fora de sincronia com o código; rode `npm run migrate`:"
+    );
+    for (const m of problems) {
+      console.error(`  ${m.version} ${m.name}: ${m.state}`);
+    }
+    process.exit(1);
+  }
+}
+
+checkSchema().then(() => {
+  const server = app.listen(port, host, () => {
+    console.log(`ICEHOT API rodando em http://${host}:${port}`);
+  });
+
+  server.on("listening", () => {
+    console.log("[listen] ok");
+
+    // NOTIFICACOES_INTERVALO_MIN=0 desliga o agendador interno
+    if (NOTIFICACOES_INTERVALO_MIN > 0) {
+      setInterval(
+        () => {
+          runFiltroNotificacoesOnce()
+            .then((stats) => stats && console.log("[notificacoes]", stats))
+            .catch((e) => console.error("[notificacoes]", e));
+        },
+        NOTIFICACOES_INTERVALO_MIN * 60 * 1000
+      ).unref();
+    }
+  });
 
-server.on("error", (err) => {
-  console.error("[listen] erro:", err);
+  server.on("error", (err) => {
+    console.error("[listen] erro:", err);
+  });
 });
 
 process.on("uncaughtException", (err) => {
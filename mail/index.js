@@ -0,0 +1,35 @@
+const { createSmtpTransport } = require("./smtp");
+const { createOutboxTransport } = require("./outbox");
+
+/**
+ * Escolhe o transporte de e-mail pelo ambiente.
+ * MAIL_TRANSPORT=smtp | outbox (padrão: outbox; em produção, smtp).
+ * outbox só grava arquivos locais: é para desenvolvimento.
+ *
+ * Todo transporte expõe: send({ to, subject, text, html }) -> Promise<{ id }>
+ */
+function createMailTransport(env = process.env) {
+  const from = env.MAIL_FROM || "ICEHOT <nao-responda@icehot.com.br>";
+  const kind = String(
+    env.MAIL_TRANSPORT || (env.NODE_ENV === "production" ? "smtp" : "outbox")
+  ).toLowerCase();
+
+  if (kind === "smtp") {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT || 587,
+      secure: String(env.SMTP_SECURE || "") === "1",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASSWORD,
+      from,
+    });
+  }
+
+  if (kind === "outbox") {
+    return createOutboxTransport({ dir: env.MAIL_OUTBOX_DIR, from });
+  }
+
+  throw new Error(`MAIL_TRANSPORT desconhecido: ${kind}`);
+}
+
+module.exports = { createMailTransport };
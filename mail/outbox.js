@@ -0,0 +1,33 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Transporte "outbox": grava cada e-mail como JSON numa pasta local.
+ * Serve para desenvolvimento/testes sem servidor SMTP.
+ */
+function createOutboxTransport({ dir, from }) {
+  const outDir = path.resolve(dir || "outbox");
+
+  return {
+    name: "outbox",
+    async send({ to, subject, text, html }) {
+      await fs.mkdir(outDir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(outDir, `${id}.json`);
+      const payload = {
+        id,
+        from,
+        to,
+        subject,
+        text,
+        html,
+        created_at: new Date().toISOString(),
+      };
+      await fs.writeFile(file, JSON.stringify(payload, null, 2), "utf8");
+      return { id, file };
+    },
+  };
+}
+
+module.exports = { createOutboxTransport };
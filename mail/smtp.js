@@ -0,0 +1,37 @@
+const nodemailer = require("nodemailer");
+
+/** Transporte SMTP (produção) via nodemailer */
+function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  from,
+}) {
+  if (!host) throw new Error("SMTP_HOST não configurado");
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure: !!secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: 8000,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
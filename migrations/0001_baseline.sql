@@ -0,0 +1,92 @@
+-- Schema de produção anterior ao controle de migrations.
+-- IF NOT EXISTS: no banco que já existe é só um registro; num banco novo cria tudo.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS cidades (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  nome VARCHAR(255) NOT NULL,
+  uf CHAR(2) NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_cidades_nome (nome)
+);
+
+CREATE TABLE IF NOT EXISTS tipos (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  nome VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NULL,
+  updated_at TIMESTAMP NULL,
+  PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  cidade_id BIGINT UNSIGNED NULL,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  email_verified_at TIMESTAMP NULL,
+  password VARCHAR(255) NOT NULL,
+  telefone VARCHAR(255) NULL,
+  endereco VARCHAR(255) NULL,
+  numero VARCHAR(255) NULL,
+  bairro VARCHAR(255) NULL,
+  cep VARCHAR(255) NULL,
+  complemento VARCHAR(255) NULL,
+  type INT NULL,
+  photo VARCHAR(255) NULL,
+  remember_token VARCHAR(100) NULL,
+  created_at TIMESTAMP NULL,
+  updated_at TIMESTAMP NULL,
+  avisos TINYINT(1) NOT NULL DEFAULT 1,
+  emails_avisos TEXT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY users_email_unique (email)
+);
+
+CREATE TABLE IF NOT EXISTS maquinas (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  cidade_id BIGINT UNSIGNED NULL,
+  tipo_id BIGINT UNSIGNED NOT NULL,
+  nome VARCHAR(255) NOT NULL,
+  serialNumber VARCHAR(255) NOT NULL,
+  numeroNotaFiscal VARCHAR(255) NULL,
+  numeroSerieEquipamento VARCHAR(255) NULL,
+  endereco VARCHAR(255) NULL,
+  numero VARCHAR(255) NULL,
+  bairro VARCHAR(255) NULL,
+  cep VARCHAR(255) NULL,
+  complemento VARCHAR(255) NULL,
+  data_instalacao DATE NOT NULL,
+  status TINYINT NOT NULL DEFAULT 0,
+  observacao TEXT NULL,
+  created_at TIMESTAMP NULL,
+  updated_at TIMESTAMP NULL,
+  PRIMARY KEY (id),
+  KEY idx_maquinas_serial (serialNumber),
+  KEY idx_maquinas_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS filtros (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  tipo VARCHAR(255) NOT NULL,
+  nome VARCHAR(255) NOT NULL,
+  data DATE NOT NULL,
+  vazao VARCHAR(255) NULL,
+  created_at TIMESTAMP NULL,
+  updated_at TIMESTAMP NULL,
+  PRIMARY KEY (id),
+  KEY idx_filtros_maquina (maquina_id)
+);
+
+CREATE TABLE IF NOT EXISTS usuarios_equipamentos (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  usuario_id BIGINT UNSIGNED NOT NULL,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  agua_gelada TINYINT(1) NULL DEFAULT 1,
+  agua_quente TINYINT(1) NULL DEFAULT 1,
+  agua_pet TINYINT(1) NULL DEFAULT 1,
+  created_at TIMESTAMP NULL,
+  updated_at TIMESTAMP NULL,
+  PRIMARY KEY (id),
+  KEY idx_usuarios_equipamentos_maquina (maquina_id),
+  KEY idx_usuarios_equipamentos_usuario (usuario_id)
+);
@@ -0,0 +1,17 @@
+-- Refresh tokens emitidos por POST /auth/login e /auth/refresh.
+-- Guardamos só o SHA-256 do jti; logout/rotação preenchem revoked_at.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  jti_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_auth_refresh_tokens_jti (jti_hash),
+  KEY idx_auth_refresh_tokens_user (user_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS auth_refresh_tokens;
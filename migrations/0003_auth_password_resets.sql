@@ -0,0 +1,17 @@
+-- Tokens de redefinição de senha (POST /auth/forgot-password).
+-- Só o SHA-256 do token é guardado; used_at marca o uso único.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS auth_password_resets (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_auth_password_resets_token (token_hash),
+  KEY idx_auth_password_resets_user (user_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS auth_password_resets;
@@ -0,0 +1,18 @@
+-- Links de verificação de e-mail (POST /usuarios, PUT /usuarios/:id, /auth/resend-verification).
+-- email guarda o endereço para o qual o link foi gerado; se mudar, o link não vale mais.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS auth_email_verifications (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_auth_email_verifications_token (token_hash),
+  KEY idx_auth_email_verifications_user (user_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS auth_email_verifications;
@@ -0,0 +1,11 @@
+-- Intervalo de troca de filtro (dias): padrão por modelo, com override por máquina.
+-- NULL = herda (máquina -> modelo -> FILTRO_INTERVALO_PADRAO_DIAS).
+-- migrate:up
+ALTER TABLE tipos ADD COLUMN intervalo_troca_dias INT UNSIGNED NULL AFTER nome;
+ALTER TABLE maquinas ADD COLUMN intervalo_troca_dias INT UNSIGNED NULL AFTER observacao;
+CREATE INDEX idx_filtros_maquina_data ON filtros (maquina_id, data);
+
+-- migrate:down
+DROP INDEX idx_filtros_maquina_data ON filtros;
+ALTER TABLE maquinas DROP COLUMN intervalo_troca_dias;
+ALTER TABLE tipos DROP COLUMN intervalo_troca_dias;
@@ -0,0 +1,24 @@
+-- Histórico de avisos enviados (GET /notificacoes).
+-- UNIQUE (tipo, maquina_id, ciclo_data) garante 1 aviso por máquina por ciclo de troca.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS notificacoes (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  tipo VARCHAR(40) NOT NULL,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  usuario_id BIGINT UNSIGNED NULL,
+  ciclo_data DATE NOT NULL,
+  destinatarios TEXT NULL,
+  status ENUM('pendente', 'enviado', 'erro') NOT NULL DEFAULT 'pendente',
+  tentativas INT UNSIGNED NOT NULL DEFAULT 0,
+  erro VARCHAR(500) NULL,
+  enviado_em DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_notificacoes_ciclo (tipo, maquina_id, ciclo_data),
+  KEY idx_notificacoes_usuario (usuario_id),
+  KEY idx_notificacoes_created (created_at)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS notificacoes;
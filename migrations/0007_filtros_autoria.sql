@@ -0,0 +1,10 @@
+-- Quem registrou/corrigiu cada troca de filtro (users.id).
+-- migrate:up
+ALTER TABLE filtros
+  ADD COLUMN created_by BIGINT UNSIGNED NULL AFTER vazao,
+  ADD COLUMN updated_by BIGINT UNSIGNED NULL AFTER created_by;
+
+-- migrate:down
+ALTER TABLE filtros
+  DROP COLUMN updated_by,
+  DROP COLUMN created_by;
@@ -0,0 +1,34 @@
+-- Telemetria dos dispensers (POST /telemetria/:serialNumber).
+-- migrate:up
+-- Credencial por dispositivo (1 por máquina). Só o SHA-256 da chave é guardado.
+CREATE TABLE IF NOT EXISTS dispositivos (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  api_key_hash CHAR(64) NOT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  last_seen_at DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_dispositivos_maquina (maquina_id)
+);
+
+-- Litros = volume servido por módulo desde a leitura anterior.
+CREATE TABLE IF NOT EXISTS telemetria_leituras (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  device_ts DATETIME(3) NOT NULL,
+  agua_gelada_litros DECIMAL(10, 3) NULL,
+  agua_quente_litros DECIMAL(10, 3) NULL,
+  agua_pet_litros DECIMAL(10, 3) NULL,
+  temperatura_gelada DECIMAL(5, 2) NULL,
+  temperatura_quente DECIMAL(5, 2) NULL,
+  erros VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_telemetria_leituras_ts (maquina_id, device_ts)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS telemetria_leituras;
+DROP TABLE IF EXISTS dispositivos;
@@ -0,0 +1,15 @@
+-- Busca sem acento (cidades.nome_busca, ver utils/cidades.js#cityKey) e código IBGE.
+-- Depois de aplicar, rode `npm run seed:cidades` para preencher as colunas.
+-- migrate:up
+ALTER TABLE cidades
+  ADD COLUMN nome_busca VARCHAR(191) NULL,
+  ADD COLUMN ibge_codigo INT UNSIGNED NULL,
+  ADD UNIQUE KEY uq_cidades_ibge (ibge_codigo),
+  ADD KEY idx_cidades_uf_busca (uf, nome_busca);
+
+-- migrate:down
+ALTER TABLE cidades
+  DROP KEY idx_cidades_uf_busca,
+  DROP KEY uq_cidades_ibge,
+  DROP COLUMN ibge_codigo,
+  DROP COLUMN nome_busca;
@@ -0,0 +1,12 @@
+-- aspersor sai de maquinas.observacao (JSON) e vira módulo como os demais.
+-- maquinas.aspersor guarda o valor da máquina, que vale sem cliente vinculado.
+-- Os dados existentes são convertidos em 0011_observacao_texto.
+-- migrate:up
+ALTER TABLE usuarios_equipamentos
+  ADD COLUMN aspersor TINYINT(1) NOT NULL DEFAULT 0 AFTER agua_pet;
+ALTER TABLE maquinas
+  ADD COLUMN aspersor TINYINT(1) NOT NULL DEFAULT 0 AFTER observacao;
+
+-- migrate:down
+ALTER TABLE maquinas DROP COLUMN aspersor;
+ALTER TABLE usuarios_equipamentos DROP COLUMN aspersor;
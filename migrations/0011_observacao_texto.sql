@@ -0,0 +1,41 @@
+-- Converte maquinas.observacao do JSON antigo ({ texto, aspersor, ... }) para
+-- texto puro. O aspersor vai para maquinas.aspersor e para os vínculos da
+-- máquina, com ou sem cliente. Nada de texto se perde: chaves extras do JSON
+-- são anexadas ao final. Texto comum que começa com "{" fica como está.
+-- migrate:up
+UPDATE maquinas
+   SET aspersor = IF(
+         JSON_UNQUOTE(JSON_EXTRACT(observacao, '$.aspersor')) IN ('true', '1'), 1, 0
+       )
+ WHERE observacao LIKE '{%'
+   AND CASE WHEN JSON_VALID(observacao) THEN JSON_TYPE(observacao) END = 'OBJECT';
+
+UPDATE usuarios_equipamentos ue
+  JOIN maquinas m ON m.id = ue.maquina_id
+   SET ue.aspersor = 1
+ WHERE m.aspersor = 1;
+
+UPDATE maquinas
+   SET observacao = NULLIF(
+         CONCAT_WS(
+           '\n',
+           NULLIF(TRIM(
+             IF(JSON_TYPE(JSON_EXTRACT(observacao, '$.texto')) = 'NULL', NULL,
+                JSON_UNQUOTE(JSON_EXTRACT(observacao, '$.texto')))
+           ), ''),
+           IF(JSON_LENGTH(JSON_REMOVE(observacao, '$.texto', '$.aspersor')) > 0,
+              CONCAT('[dados antigos] ', JSON_REMOVE(observacao, '$.texto', '$.aspersor')),
+              NULL)
+         ),
+         ''
+       )
+ WHERE observacao LIKE '{%'
+   AND CASE WHEN JSON_VALID(observacao) THEN JSON_TYPE(observacao) END = 'OBJECT';
+
+-- migrate:down
+-- volta ao formato JSON, com o aspersor da máquina
+UPDATE maquinas
+   SET observacao = JSON_OBJECT(
+         'texto', observacao,
+         'aspersor', IF(aspersor = 1, TRUE, FALSE)
+       );
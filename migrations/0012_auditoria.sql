@@ -0,0 +1,19 @@
+-- Trilha de auditoria das rotas de escrita (GET /auditoria).
+-- alteracoes = { campo: { antes, depois } }; hash de senha nunca entra.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS auditoria (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  usuario_id BIGINT UNSIGNED NULL,
+  entidade VARCHAR(32) NOT NULL,
+  entidade_id BIGINT UNSIGNED NOT NULL,
+  acao VARCHAR(16) NOT NULL,
+  alteracoes JSON NOT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_auditoria_entidade (entidade, entidade_id, created_at),
+  KEY idx_auditoria_usuario (usuario_id, created_at),
+  KEY idx_auditoria_created (created_at)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS auditoria;
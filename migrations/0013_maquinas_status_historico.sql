@@ -0,0 +1,28 @@
+-- Transições de maquinas.status (GET /equipamentos/:id/historico-status).
+-- status_anterior NULL = cadastro (ou estado inicial importado abaixo).
+-- migrate:up
+CREATE TABLE IF NOT EXISTS maquinas_status_historico (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  status_anterior TINYINT NULL,
+  status_novo TINYINT NOT NULL,
+  motivo VARCHAR(255) NULL,
+  usuario_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_status_hist_maquina (maquina_id, created_at),
+  KEY idx_status_hist_novo (status_novo, created_at)
+);
+
+-- ponto de partida: status atual de cada máquina, a partir de agora
+-- (não há como saber desde quando ela está nesse status)
+INSERT INTO maquinas_status_historico
+  (maquina_id, status_anterior, status_novo, motivo, usuario_id, created_at)
+SELECT m.id, NULL, m.status, 'estado inicial (migração)', NULL, NOW()
+FROM maquinas m
+WHERE NOT EXISTS (
+  SELECT 1 FROM maquinas_status_historico h WHERE h.maquina_id = m.id
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS maquinas_status_historico;
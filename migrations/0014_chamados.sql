@@ -0,0 +1,38 @@
+-- Chamados de atendimento por máquina (/chamados) + linha do tempo.
+-- cliente_id = cliente vinculado à máquina na abertura.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS chamados (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  cliente_id BIGINT UNSIGNED NULL,
+  aberto_por BIGINT UNSIGNED NULL,
+  tecnico_id BIGINT UNSIGNED NULL,
+  estado ENUM('aberto', 'em_andamento', 'fechado') NOT NULL DEFAULT 'aberto',
+  titulo VARCHAR(160) NOT NULL,
+  descricao TEXT NULL,
+  resolucao TEXT NULL,
+  fechado_por BIGINT UNSIGNED NULL,
+  fechado_em DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_chamados_maquina (maquina_id, estado),
+  KEY idx_chamados_cliente (cliente_id, estado),
+  KEY idx_chamados_tecnico (tecnico_id, estado),
+  KEY idx_chamados_estado (estado, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS chamados_eventos (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chamado_id BIGINT UNSIGNED NOT NULL,
+  usuario_id BIGINT UNSIGNED NULL,
+  tipo ENUM('abertura', 'atribuicao', 'nota', 'fechamento') NOT NULL,
+  texto TEXT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_chamados_eventos_chamado (chamado_id, created_at)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS chamados_eventos;
+DROP TABLE IF EXISTS chamados;
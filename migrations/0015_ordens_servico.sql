@@ -0,0 +1,43 @@
+-- Ordens de serviço (visitas técnicas) com checklist de tarefas (/ordens-servico, /agenda).
+-- Tarefa "troca_filtro" concluída gera a linha em filtros (filtro_id).
+-- migrate:up
+CREATE TABLE IF NOT EXISTS ordens_servico (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  chamado_id BIGINT UNSIGNED NULL,
+  tecnico_id BIGINT UNSIGNED NOT NULL,
+  data DATE NOT NULL,
+  hora_inicio TIME NULL,
+  hora_fim TIME NULL,
+  estado ENUM('agendada', 'concluida', 'cancelada') NOT NULL DEFAULT 'agendada',
+  observacao TEXT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  concluida_por BIGINT UNSIGNED NULL,
+  concluida_em DATETIME NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_os_tecnico_data (tecnico_id, data),
+  KEY idx_os_data (data, estado),
+  KEY idx_os_maquina (maquina_id),
+  KEY idx_os_chamado (chamado_id)
+);
+
+CREATE TABLE IF NOT EXISTS ordens_servico_tarefas (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  ordem_id BIGINT UNSIGNED NOT NULL,
+  posicao INT UNSIGNED NOT NULL DEFAULT 0,
+  tipo ENUM('troca_filtro', 'reparo', 'inspecao', 'outro') NOT NULL,
+  descricao VARCHAR(255) NOT NULL,
+  filtro_tipo VARCHAR(255) NULL,
+  filtro_nome VARCHAR(255) NULL,
+  filtro_vazao VARCHAR(255) NULL,
+  concluida TINYINT(1) NOT NULL DEFAULT 0,
+  filtro_id BIGINT UNSIGNED NULL,
+  PRIMARY KEY (id),
+  KEY idx_os_tarefas_ordem (ordem_id, posicao)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS ordens_servico_tarefas;
+DROP TABLE IF EXISTS ordens_servico;
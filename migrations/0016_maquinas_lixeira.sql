@@ -0,0 +1,20 @@
+-- Lixeira: o que a exclusão (status 3) apagou, para POST /equipamentos/:id/restaurar.
+-- Status anterior + vínculo com cliente e módulos no momento da exclusão.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS maquinas_lixeira (
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  status_anterior TINYINT NOT NULL,
+  usuario_id BIGINT UNSIGNED NULL,
+  agua_gelada TINYINT(1) NULL,
+  agua_quente TINYINT(1) NULL,
+  agua_pet TINYINT(1) NULL,
+  aspersor TINYINT(1) NULL,
+  motivo VARCHAR(255) NULL,
+  deleted_by BIGINT UNSIGNED NULL,
+  deleted_at DATETIME NOT NULL,
+  PRIMARY KEY (maquina_id),
+  KEY idx_lixeira_deleted (deleted_at)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS maquinas_lixeira;
@@ -0,0 +1,24 @@
+-- Vínculo cliente x máquina com período: trocar de cliente encerra o vínculo
+-- (fim) em vez de apagá-lo. Vínculo atual = fim IS NULL (1 por máquina).
+-- migrate:up
+ALTER TABLE usuarios_equipamentos
+  ADD COLUMN inicio DATETIME NULL AFTER aspersor,
+  ADD COLUMN fim DATETIME NULL AFTER inicio,
+  ADD COLUMN motivo VARCHAR(255) NULL AFTER fim,
+  ADD KEY idx_usuarios_equipamentos_maquina_fim (maquina_id, fim),
+  ADD KEY idx_usuarios_equipamentos_usuario_fim (usuario_id, fim);
+
+UPDATE usuarios_equipamentos
+   SET inicio = COALESCE(created_at, updated_at, NOW())
+ WHERE inicio IS NULL;
+
+ALTER TABLE usuarios_equipamentos MODIFY inicio DATETIME NOT NULL;
+
+-- migrate:down
+DELETE FROM usuarios_equipamentos WHERE fim IS NOT NULL;
+ALTER TABLE usuarios_equipamentos
+  DROP KEY idx_usuarios_equipamentos_usuario_fim,
+  DROP KEY idx_usuarios_equipamentos_maquina_fim,
+  DROP COLUMN motivo,
+  DROP COLUMN fim,
+  DROP COLUMN inicio;
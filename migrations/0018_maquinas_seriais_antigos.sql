@@ -0,0 +1,27 @@
+-- Números de série anteriores (correções via PUT /equipamentos/:id), para o
+-- QR das etiquetas já impressas continuar resolvendo em GET /p/:serialNumber.
+-- Carrega as correções que já estão na auditoria.
+-- migrate:up
+CREATE TABLE IF NOT EXISTS maquinas_seriais_antigos (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  maquina_id BIGINT UNSIGNED NOT NULL,
+  serialNumber VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_seriais_antigos_serial (serialNumber),
+  KEY idx_seriais_antigos_maquina (maquina_id)
+);
+
+INSERT INTO maquinas_seriais_antigos (maquina_id, serialNumber, created_at)
+SELECT
+  a.entidade_id,
+  TRIM(JSON_UNQUOTE(JSON_EXTRACT(a.alteracoes, '$.serialNumber.antes'))),
+  a.created_at
+FROM auditoria a
+WHERE a.entidade = 'equipamento'
+  AND a.acao = 'atualizar'
+  AND JSON_TYPE(JSON_EXTRACT(a.alteracoes, '$.serialNumber.antes')) = 'STRING'
+  AND TRIM(JSON_UNQUOTE(JSON_EXTRACT(a.alteracoes, '$.serialNumber.antes'))) <> '';
+
+-- migrate:down
+DROP TABLE IF EXISTS maquinas_seriais_antigos;
@@ -0,0 +1,63 @@
+/**
+ * CLI de migrations do schema icehot.
+ *
+ *   npm run migrate            # aplica pendentes
+ *   npm run migrate:status     # lista aplicadas/pendentes
+ *   npm run migrate:down       # desfaz a última (-- --steps=N para mais)
+ */
+require("dotenv").config();
+const mysql = require("mysql2/promise");
+const {
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+} = require("../utils/migrator");
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+  const stepsArg = args.find((a) => a.startsWith("--steps="));
+  const steps = stepsArg ? Number(stepsArg.split("=")[1]) : 1;
+
+  const conn = await mysql.createConnection({
+    host: process.env.MYSQL_HOST,
+    port: Number(process.env.MYSQL_PORT || 3306),
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DB,
+    connectTimeout: 8000,
+  });
+
+  try {
+    if (command === "up") {
+      const done = await migrateUp(conn);
+      console.log(
+        done.length
+          ? `[migrate] ${done.length} migration(s) aplicada(s)`
+          : "[migrate] nada pendente"
+      );
+    } else if (command === "down") {
+      if (!Number.isInteger(steps) || steps <= 0) {
+        throw new Error("--steps deve ser um inteiro positivo");
+      }
+      const done = await migrateDown(conn, { steps });
+      console.log(`[migrate] ${done.length} migration(s) desfeita(s)`);
+    } else if (command === "status") {
+      const list = await migrationStatus(conn);
+      for (const m of list) {
+        const when = m.applied_at ? new Date(m.applied_at).toISOString() : "";
+        console.log(`${m.version}  ${m.state.padEnd(12)} ${m.name}  ${when}`);
+      }
+    } else {
+      throw new Error(
+        `Comando desconhecido: ${command} (use up | down | status)`
+      );
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((e) => {
+  console.error("[migrate] erro:", e.message || e);
+  process.exit(1);
+});
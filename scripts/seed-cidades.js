@@ -0,0 +1,109 @@
+/**
+ * Carrega/atualiza a tabela cidades com a lista oficial de municípios do IBGE
+ * (data/municipios_ibge.csv: codigo_ibge,nome,uf) e preenche nome_busca das
+ * cidades já cadastradas. Idempotente: pode rodar quantas vezes quiser.
+ *
+ *   npm run seed:cidades [-- caminho/para/outro.csv]
+ *
+ * Cidade existente com mesmo nome (sem acento) + UF ganha o ibge_codigo;
+ * as demais são inseridas. Duplicatas antigas continuam lá: use
+ * POST /cidades/:id/merge para unificá-las.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2/promise");
+const { parseCsv } = require("../utils/csv");
+const { cityKey, normalizeUF } = require("../utils/cidades");
+
+async function main() {
+  const file = path.resolve(
+    process.argv[2] || path.join(__dirname, "..", "data", "municipios_ibge.csv")
+  );
+  const municipios = parseCsv(fs.readFileSync(file, "utf8"));
+
+  const conn = await mysql.createConnection({
+    host: process.env.MYSQL_HOST,
+    port: Number(process.env.MYSQL_PORT || 3306),
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DB,
+    connectTimeout: 8000,
+  });
+
+  const stats = {
+    lidas: municipios.length,
+    vinculadas: 0,
+    inseridas: 0,
+    ignoradas: 0,
+  };
+
+  try {
+    // 1) nome_busca das cidades já existentes
+    const [existentes] = await conn.query(
+      "SELECT id, nome, uf, ibge_codigo FROM cidades"
+    );
+    for (const c of existentes) {
+      await conn.execute("UPDATE cidades SET nome_busca = ? WHERE id = ?", [
+        cityKey(c.nome),
+        c.id,
+      ]);
+    }
+
+    const porCodigo = new Set(
+      existentes
+        .filter((c) => c.ibge_codigo != null)
+        .map((c) => Number(c.ibge_codigo))
+    );
+    const porChave = new Map();
+    for (const c of existentes) {
+      if (c.ibge_codigo != null) continue;
+      const k = `${String(c.uf || "")
+        .trim()
+        .toUpperCase()}|${cityKey(c.nome)}`;
+      if (!porChave.has(k)) porChave.set(k, c.id); // a mais antiga vira a oficial
+    }
+
+    // 2) municípios do IBGE
+    await conn.beginTransaction();
+    for (const m of municipios) {
+      const codigo = Number(m.codigo_ibge);
+      const uf = normalizeUF(m.uf);
+      if (!Number.isInteger(codigo) || !uf || !m.nome) {
+        stats.ignoradas++;
+        continue;
+      }
+      if (porCodigo.has(codigo)) continue;
+
+      const key = cityKey(m.nome);
+      const existenteId = porChave.get(`${uf}|${key}`);
+      if (existenteId) {
+        await conn.execute(
+          "UPDATE cidades SET ibge_codigo = ?, nome = ?, uf = ?, nome_busca = ? WHERE id = ?",
+          [codigo, m.nome, uf, key, existenteId]
+        );
+        porChave.delete(`${uf}|${key}`);
+        stats.vinculadas++;
+      } else {
+        await conn.execute(
+          "INSERT INTO cidades (nome, uf, nome_busca, ibge_codigo) VALUES (?, ?, ?, ?)",
+          [m.nome, uf, key, codigo]
+        );
+        stats.inseridas++;
+      }
+    }
+    await conn.commit();
+
+    console.log("[seed:cidades]", stats);
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((e) => {
+  console.error("[seed:cidades] erro:", e);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+/** Siglas das 27 UFs (26 estados + DF) */
+const UF_SIGLAS = [
+  "AC",
+  "AL",
+  "AP",
+  "AM",
+  "BA",
+  "CE",
+  "DF",
+  "ES",
+  "GO",
+  "MA",
+  "MT",
+  "MS",
+  "MG",
+  "PA",
+  "PB",
+  "PR",
+  "PE",
+  "PI",
+  "RJ",
+  "RN",
+  "RS",
+  "RO",
+  "RR",
+  "SC",
+  "SP",
+  "SE",
+  "TO",
+];
+
+/** UF normalizada ("sp " -> "SP") ou null se não for uma UF válida */
+function normalizeUF(input) {
+  const uf = String(input ?? "")
+    .trim()
+    .toUpperCase();
+  return UF_SIGLAS.includes(uf) ? uf : null;
+}
+
+/**
+ * Chave de busca de cidade (coluna cidades.nome_busca):
+ * sem acento, minúscula, pontuação vira espaço, espaços colapsados.
+ * "São Paulo" / "sao  paulo" / "Embu-Guaçu" -> "sao paulo" / "embu guacu"
+ */
+function cityKey(nome) {
+  return String(nome ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Separa "Cidade/UF" (ou "Cidade - UF") do texto digitado.
+ * A UF do texto tem prioridade sobre a informada à parte.
+ */
+function parseCidadeUf(texto, ufRaw = null) {
+  const raw = String(texto ?? "").trim();
+  let nome = raw;
+  let uf =
+    String(ufRaw || "")
+      .trim()
+      .toUpperCase() || null;
+
+  const m = raw.match(/^(.+?)\s*(?:\/|\s-\s)\s*([A-Za-z]{2})$/);
+  if (m) {
+    nome = m[1].trim();
+    uf = m[2].toUpperCase();
+  }
+
+  return { nome, uf };
+}
+
+module.exports = { UF_SIGLAS, normalizeUF, cityKey, parseCidadeUf };
@@ -0,0 +1,63 @@
+/**
+ * Parser CSV simples (RFC 4180): aspas, aspas escapadas ("") e quebras de
+ * linha dentro de campos. Detecta ";" como separador se vier no cabeçalho.
+ * Retorna array de objetos indexados pelo cabeçalho (trim).
+ */
+function parseCsv(text, { delimiter } = {}) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const nl = src.indexOf("\n");
+  const firstLine = nl === -1 ? src : src.slice(0, nl);
+  const sep =
+    delimiter ||
+    (firstLine.split(";").length > firstLine.split(",").length ? ";" : ",");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((v) => String(v).trim() !== ""));
+  if (!nonEmpty.length) return [];
+
+  const header = nonEmpty[0].map((h) => String(h).trim());
+  return nonEmpty.slice(1).map((r) => {
+    const obj = {};
+    header.forEach((h, idx) => {
+      obj[h] = r[idx] == null ? "" : String(r[idx]).trim();
+    });
+    return obj;
+  });
+}
+
+module.exports = { parseCsv };
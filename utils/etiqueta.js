@@ -0,0 +1,102 @@
+/**
+ * Etiquetas de equipamento com QR code (SVG para impressão, PNG só do QR).
+ * Medidas em mm: etiqueta 70 x 35, folha A4 com 3 colunas.
+ */
+const QRCode = require("qrcode");
+
+const LARGURA = 70;
+const ALTURA = 35;
+const COLUNAS_FOLHA = 3;
+
+function xmlEscape(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Corta texto longo para caber ao lado do QR */
+function caber(str, max) {
+  const s = String(str ?? "").trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/** Path SVG dos módulos escuros do QR, num quadrado de `tamanho` mm */
+function qrPath(url, x, y, tamanho) {
+  const { modules } = QRCode.create(url, { errorCorrectionLevel: "M" });
+  const n = modules.size;
+  const m = tamanho / n;
+  const parts = [];
+  for (let row = 0; row < n; row++) {
+    for (let col = 0; col < n; col++) {
+      if (modules.get(row, col)) {
+        parts.push(
+          `M${(x + col * m).toFixed(3)} ${(y + row * m).toFixed(3)}h${m.toFixed(3)}v${m.toFixed(3)}h-${m.toFixed(3)}z`
+        );
+      }
+    }
+  }
+  return `<path d="${parts.join("")}" fill="#000"/>`;
+}
+
+/** Conteúdo de uma etiqueta (grupo SVG) na posição x/y */
+function etiquetaGrupo({ url, nome, serialNumber, modelo }, x = 0, y = 0) {
+  const texto = [
+    `<text x="34" y="9" font-size="3.6" font-weight="bold">${xmlEscape(caber(nome, 18))}</text>`,
+    `<text x="34" y="15" font-size="3">S/N ${xmlEscape(caber(serialNumber, 20))}</text>`,
+    modelo
+      ? `<text x="34" y="20" font-size="3">${xmlEscape(caber(modelo, 22))}</text>`
+      : "",
+    `<text x="34" y="31" font-size="1.8" fill="#555">${xmlEscape(caber(url, 40))}</text>`,
+  ].join("");
+
+  return (
+    `<g transform="translate(${x} ${y})" font-family="Arial, Helvetica, sans-serif">` +
+    `<rect width="${LARGURA}" height="${ALTURA}" fill="#fff" stroke="#ccc" stroke-width="0.2"/>` +
+    qrPath(url, 2, 2, 31) +
+    texto +
+    "</g>"
+  );
+}
+
+function svgDoc(largura, altura, corpo) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${largura}mm" height="${altura}mm" viewBox="0 0 ${largura} ${altura}">` +
+    corpo +
+    "</svg>"
+  );
+}
+
+/** Etiqueta única em SVG */
+function etiquetaSvg(dados) {
+  return svgDoc(LARGURA, ALTURA, etiquetaGrupo(dados));
+}
+
+/** Várias etiquetas numa folha SVG (3 por linha, altura cresce conforme a lista) */
+function folhaEtiquetasSvg(lista) {
+  const linhas = Math.max(1, Math.ceil(lista.length / COLUNAS_FOLHA));
+  const corpo = lista
+    .map((dados, i) =>
+      etiquetaGrupo(
+        dados,
+        (i % COLUNAS_FOLHA) * LARGURA,
+        Math.floor(i / COLUNAS_FOLHA) * ALTURA
+      )
+    )
+    .join("");
+  return svgDoc(LARGURA * COLUNAS_FOLHA, ALTURA * linhas, corpo);
+}
+
+/** PNG só com o QR (sem texto): para colar em outro layout */
+function qrPng(url, largura = 600) {
+  return QRCode.toBuffer(url, {
+    type: "png",
+    errorCorrectionLevel: "M",
+    margin: 2,
+    width: largura,
+  });
+}
+
+module.exports = { etiquetaSvg, folhaEtiquetasSvg, qrPng };
@@ -0,0 +1,324 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(sql|js)$/;
+const LOCK_NAME = "icehot_schema_migrations";
+
+/**
+ * Separa um arquivo SQL em comandos (";" fora de aspas e comentários).
+ * Cada comando roda sozinho, para o progresso poder ser registrado.
+ */
+function splitSqlStatements(sql) {
+  const statements = [];
+  let current = "";
+  let quote = null;
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (quote) {
+      current += ch;
+      if (ch === "\\" && quote !== "`") {
+        current += next ?? "";
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end;
+      current += "\n";
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = sql.indexOf("*/", i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === "`") quote = ch;
+    if (ch === ";") {
+      if (current.trim()) statements.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * Lista as migrations do diretório, em ordem de versão.
+ * SQL: seções "-- migrate:up" e "-- migrate:down", separadas em comandos.
+ * JS: module.exports = { up(conn), down(conn) } (down opcional); como não há
+ * progresso por comando, a migration JS deve ser transacional ou idempotente.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => MIGRATION_FILE.test(f))
+    .sort();
+
+  const seen = new Set();
+  return files.map((file) => {
+    const [, version, name, ext] = file.match(MIGRATION_FILE);
+    if (seen.has(version)) {
+      throw new Error(`Versão de migration duplicada: ${version}`);
+    }
+    seen.add(version);
+
+    const fullPath = path.join(dir, file);
+    const source = fs.readFileSync(fullPath, "utf8");
+    const checksum = crypto.createHash("sha256").update(source).digest("hex");
+
+    if (ext === "js") {
+      const mod = require(fullPath);
+      return { version, name, file, checksum, up: mod.up, down: mod.down };
+    }
+
+    const upMatch = source.split(/^--\s*migrate:down\s*$/m);
+    const upSteps = splitSqlStatements(
+      upMatch[0].replace(/^--\s*migrate:up\s*$/m, "")
+    );
+    const downSteps = splitSqlStatements(upMatch[1] || "");
+    return {
+      version,
+      name,
+      file,
+      checksum,
+      upSteps,
+      downSteps: downSteps.length ? downSteps : null,
+    };
+  });
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version CHAR(4) NOT NULL,
+      name VARCHAR(191) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at DATETIME NOT NULL,
+      PRIMARY KEY (version)
+    )
+  `);
+  // comandos já executados de uma migration SQL que falhou no meio
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations_parcial (
+      version CHAR(4) NOT NULL,
+      direcao VARCHAR(4) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      concluidos INT UNSIGNED NOT NULL,
+      updated_at DATETIME NOT NULL,
+      PRIMARY KEY (version, direcao)
+    )
+  `);
+}
+
+/** Tabela existe? (a verificação de startup não cria nada) */
+async function tableExists(conn, table) {
+  const [[row]] = await conn.query(
+    "SELECT COUNT(*) AS n FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?",
+    [table]
+  );
+  return Number(row.n) > 0;
+}
+
+async function appliedVersions(conn) {
+  if (!(await tableExists(conn, "schema_migrations"))) return new Map();
+  const [rows] = await conn.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+/** Progresso das migrations interrompidas: "version:direcao" -> linha */
+async function partialProgress(conn) {
+  if (!(await tableExists(conn, "schema_migrations_parcial"))) return new Map();
+  const [rows] = await conn.query(
+    "SELECT version, direcao, checksum, concluidos FROM schema_migrations_parcial"
+  );
+  return new Map(rows.map((r) => [`${r.version}:${r.direcao}`, r]));
+}
+
+/**
+ * Roda os comandos SQL de uma migration registrando cada um concluído.
+ * Se uma execução anterior falhou no meio, retoma do comando que falhou.
+ */
+async function runSteps(conn, m, direcao, steps, partial, log) {
+  const prev = partial.get(`${m.version}:${direcao}`);
+  let inicio = 0;
+  if (prev) {
+    if (prev.checksum !== m.checksum) {
+      throw new Error(
+        `${m.file} mudou depois de falhar no comando ${Number(prev.concluidos) + 1}; ` +
+          "confira o banco e limpe schema_migrations_parcial antes de rodar de novo"
+      );
+    }
+    inicio = Number(prev.concluidos);
+    log(
+      `[migrate] retomando ${m.file} no comando ${inicio + 1}/${steps.length}`
+    );
+  }
+
+  for (let i = inicio; i < steps.length; i++) {
+    await conn.query(steps[i]);
+    await conn.query(
+      `
+      INSERT INTO schema_migrations_parcial (version, direcao, checksum, concluidos, updated_at)
+      VALUES (?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE checksum = VALUES(checksum), concluidos = VALUES(concluidos), updated_at = NOW()
+      `,
+      [m.version, direcao, m.checksum, i + 1]
+    );
+  }
+}
+
+async function clearProgress(conn, version, direcao) {
+  await conn.query(
+    "DELETE FROM schema_migrations_parcial WHERE version = ? AND direcao = ?",
+    [version, direcao]
+  );
+}
+
+/**
+ * Estado de cada migration: aplicada / pendente / parcial (falhou no meio) /
+ * alterada depois de aplicada. Só leitura: não cria tabelas.
+ */
+async function migrationStatus(conn, dir) {
+  const applied = await appliedVersions(conn);
+  const partial = await partialProgress(conn);
+  const migrations = loadMigrations(dir);
+
+  const list = migrations.map((m) => {
+    const row = applied.get(m.version);
+    let state = "aplicada";
+    if (!row) {
+      state = partial.has(`${m.version}:up`) ? "parcial" : "pendente";
+    } else if (row.checksum !== m.checksum) {
+      state = "alterada";
+    } else if (partial.has(`${m.version}:down`)) {
+      state = "parcial";
+    }
+    return {
+      version: m.version,
+      name: m.name,
+      applied_at: row ? row.applied_at : null,
+      state,
+    };
+  });
+
+  // aplicadas no banco cujo arquivo sumiu (banco à frente do código)
+  const known = new Set(migrations.map((m) => m.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      list.push({
+        version,
+        name: row.name,
+        applied_at: row.applied_at,
+        state: "desconhecida",
+      });
+    }
+  }
+
+  return list.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function withLock(conn, fn) {
+  const [[lock]] = await conn.query("SELECT GET_LOCK(?, 30) AS ok", [
+    LOCK_NAME,
+  ]);
+  if (!lock || Number(lock.ok) !== 1) {
+    throw new Error("Outra execução de migrations está em andamento");
+  }
+  try {
+    return await fn();
+  } finally {
+    await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+  }
+}
+
+/**
+ * Aplica todas as pendentes, em ordem.
+ * DDL do MySQL não é transacional: cada comando SQL é registrado ao terminar
+ * (schema_migrations_parcial) e a migration, ao terminar o último.
+ */
+async function migrateUp(conn, { dir, log = console.log } = {}) {
+  await ensureMigrationsTable(conn);
+  return withLock(conn, async () => {
+    const applied = await appliedVersions(conn);
+    const partial = await partialProgress(conn);
+    const pending = loadMigrations(dir).filter((m) => !applied.has(m.version));
+
+    for (const m of pending) {
+      log(`[migrate] up ${m.file}`);
+      if (m.upSteps) {
+        await runSteps(conn, m, "up", m.upSteps, partial, log);
+      } else {
+        await m.up(conn);
+      }
+      await conn.query(
+        "INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, NOW())",
+        [m.version, m.name, m.checksum]
+      );
+      await clearProgress(conn, m.version, "up");
+    }
+    return pending.map((m) => m.file);
+  });
+}
+
+/** Desfaz as últimas "steps" migrations aplicadas */
+async function migrateDown(conn, { dir, steps = 1, log = console.log } = {}) {
+  await ensureMigrationsTable(conn);
+  return withLock(conn, async () => {
+    const applied = await appliedVersions(conn);
+    const partial = await partialProgress(conn);
+    const byVersion = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+    const targets = [...applied.keys()].sort().reverse().slice(0, steps);
+
+    const done = [];
+    for (const version of targets) {
+      const m = byVersion.get(version);
+      if (!m) throw new Error(`Arquivo da migration ${version} não encontrado`);
+      if (!m.down && !m.downSteps) {
+        throw new Error(`Migration ${m.file} não tem "down"`);
+      }
+
+      log(`[migrate] down ${m.file}`);
+      if (m.downSteps) {
+        await runSteps(conn, m, "down", m.downSteps, partial, log);
+      } else {
+        await m.down(conn);
+      }
+      await conn.query("DELETE FROM schema_migrations WHERE version = ?", [
+        version,
+      ]);
+      await clearProgress(conn, version, "down");
+      done.push(m.file);
+    }
+    return done;
+  });
+}
+
+/**
+ * Verificação de startup (só leitura): lista o que impede o servidor de subir
+ * (pendentes, parciais, alteradas ou desconhecidas). Vazio = schema em dia.
+ */
+async function schemaProblems(conn, dir) {
+  const list = await migrationStatus(conn, dir);
+  return list.filter((m) => m.state !== "aplicada");
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  splitSqlStatements,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  schemaProblems,
+};
@@ -0,0 +1,363 @@
+/**
+ * Escrita de planilhas em stream (CSV ou XLSX) direto na resposta HTTP.
+ * Colunas: [{ titulo, tipo? }] com tipo "data" (YYYY-MM-DD), "datahora"
+ * (YYYY-MM-DD HH:MM:SS) ou "numero"; o resto vira texto.
+ *
+ *   const planilha = createPlanilhaWriter(res, "xlsx", colunas);
+ *   await planilha.write([[1, "Máquina"], ...]);
+ *   await planilha.end();
+ */
+const zlib = require("zlib");
+
+const FORMATOS = {
+  csv: { contentType: "text/csv; charset=utf-8", extensao: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extensao: "xlsx",
+  },
+};
+
+/**
+ * Espera o "drain" do destino. Cliente que desconecta ("close"/"error")
+ * rejeita, para o laço de exportação parar em vez de ficar pendurado.
+ */
+function waitDrain(out) {
+  if (out.destroyed) {
+    return Promise.reject(new Error("export_aborted"));
+  }
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      out.off("drain", onDrain);
+      out.off("close", onClose);
+      out.off("error", onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error("export_aborted"));
+    };
+    out.on("drain", onDrain);
+    out.on("close", onClose);
+    out.on("error", onClose);
+  });
+}
+
+/** Escreve e, se o buffer do destino encher, espera o "drain" */
+function writeOut(out, chunk) {
+  if (out.destroyed) return Promise.reject(new Error("export_aborted"));
+  if (out.write(chunk)) return Promise.resolve();
+  return waitDrain(out);
+}
+
+const APP_TZ = process.env.APP_TZ || "America/Sao_Paulo";
+
+/**
+ * Valor da célula -> null | number | string. O mysql2 entrega DATE como
+ * meia-noite UTC e DATETIME como instante UTC; datahora sai no fuso de
+ * operação (APP_TZ).
+ */
+function formatValue(value, tipo) {
+  if (value == null || value === "") return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    if (tipo === "data") return value.toISOString().slice(0, 10);
+    // sv-SE: "YYYY-MM-DD HH:MM:SS"
+    return value.toLocaleString("sv-SE", { timeZone: APP_TZ });
+  }
+  if (tipo === "numero" && Number.isFinite(Number(value))) return Number(value);
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// ===== CSV (";" + BOM: o Excel em pt-BR abre direto)
+// texto começando com = + - @ vira fórmula ao abrir o CSV: prefixa com '
+// (no XLSX a célula é inlineStr, nunca avaliada)
+const FORMULA_INICIO = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value == null) return "";
+  const str =
+    typeof value === "string" && FORMULA_INICIO.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[";\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function createCsvWriter(out, colunas) {
+  let started = false;
+  const line = (values) => values.map(csvField).join(";") + "\r\n";
+
+  async function start() {
+    if (started) return;
+    started = true;
+    await writeOut(out, "\uFEFF" + line(colunas.map((c) => c.titulo)));
+  }
+
+  return {
+    async write(rows) {
+      await start();
+      if (!rows.length) return;
+      const text = rows
+        .map((r) => line(colunas.map((c, i) => formatValue(r[i], c.tipo))))
+        .join("");
+      await writeOut(out, text);
+    },
+    async end() {
+      await start();
+      out.end();
+    },
+  };
+}
+
+// ===== XLSX (zip mínimo; a planilha vai comprimida em stream)
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+function xmlEscape(str) {
+  return String(str)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Referência da coluna: 0 -> A, 25 -> Z, 26 -> AA */
+function colRef(index) {
+  let ref = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    ref = String.fromCharCode(65 + ((n - 1) % 26)) + ref;
+  }
+  return ref;
+}
+
+function sheetRow(values, rowNum) {
+  const cells = values
+    .map((v, i) => {
+      if (v == null) return "";
+      const ref = `${colRef(i)}${rowNum}`;
+      if (typeof v === "number") return `<c r="${ref}"><v>${v}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    })
+    .join("");
+  return `<row r="${rowNum}">${cells}</row>`;
+}
+
+const XLSX_ARQUIVOS_FIXOS = {
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets><sheet name="Dados" sheetId="1" r:id="rId1"/></sheets>' +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+};
+
+function createXlsxWriter(out, colunas) {
+  const entries = []; // { name, crc, csize, usize, offset }
+  let offset = 0;
+  let rowNum = 0;
+  let sheet = null; // { deflate, crc, csize, usize, name, offset }
+
+  async function emit(buf) {
+    offset += buf.length;
+    await writeOut(out, buf);
+  }
+
+  // flag 0x0800 = nomes em UTF-8; 0x0008 = tamanhos no data descriptor
+  function localHeader(name, { crc = 0, csize = 0, usize = 0, flags }) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(20, 4);
+    h.writeUInt16LE(flags, 6);
+    h.writeUInt16LE(8, 8); // deflate
+    h.writeUInt16LE(0, 10);
+    h.writeUInt16LE(0x21, 12); // 1980-01-01
+    h.writeUInt32LE(crc, 14);
+    h.writeUInt32LE(csize, 18);
+    h.writeUInt32LE(usize, 22);
+    h.writeUInt16LE(nameBuf.length, 26);
+    h.writeUInt16LE(0, 28);
+    return Buffer.concat([h, nameBuf]);
+  }
+
+  async function addFile(name, content) {
+    const data = Buffer.from(content, "utf8");
+    const comp = zlib.deflateRawSync(data);
+    const entry = {
+      name,
+      crc: crc32(data),
+      csize: comp.length,
+      usize: data.length,
+      offset,
+      flags: 0x0800,
+    };
+    entries.push(entry);
+    await emit(localHeader(name, entry));
+    await emit(comp);
+  }
+
+  async function start() {
+    if (sheet) return;
+    for (const [name, content] of Object.entries(XLSX_ARQUIVOS_FIXOS)) {
+      await addFile(name, content);
+    }
+
+    const name = "xl/worksheets/sheet1.xml";
+    sheet = {
+      name,
+      crc: 0,
+      csize: 0,
+      usize: 0,
+      offset,
+      flags: 0x0808,
+      deflate: zlib.createDeflateRaw(),
+    };
+    await emit(localHeader(name, sheet));
+    sheet.deflate.on("data", (chunk) => {
+      sheet.csize += chunk.length;
+      offset += chunk.length;
+      out.write(chunk);
+    });
+
+    await writeSheet(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+        sheetRow(
+          colunas.map((c) => c.titulo),
+          ++rowNum
+        )
+    );
+  }
+
+  async function writeSheet(xml) {
+    const buf = Buffer.from(xml, "utf8");
+    sheet.crc = crc32(buf, sheet.crc);
+    sheet.usize += buf.length;
+    sheet.deflate.write(buf);
+    await new Promise((resolve) => sheet.deflate.flush(resolve));
+    if (out.destroyed) throw new Error("export_aborted");
+    if (out.writableNeedDrain) await waitDrain(out);
+  }
+
+  return {
+    async write(rows) {
+      await start();
+      if (!rows.length) return;
+      await writeSheet(
+        rows
+          .map((r) =>
+            sheetRow(
+              colunas.map((c, i) => formatValue(r[i], c.tipo)),
+              ++rowNum
+            )
+          )
+          .join("")
+      );
+    },
+    async end() {
+      await start();
+      const buf = Buffer.from("</sheetData></worksheet>", "utf8");
+      sheet.crc = crc32(buf, sheet.crc);
+      sheet.usize += buf.length;
+      await new Promise((resolve) => {
+        sheet.deflate.once("end", resolve);
+        sheet.deflate.end(buf);
+      });
+
+      const desc = Buffer.alloc(16);
+      desc.writeUInt32LE(0x08074b50, 0);
+      desc.writeUInt32LE(sheet.crc, 4);
+      desc.writeUInt32LE(sheet.csize, 8);
+      desc.writeUInt32LE(sheet.usize, 12);
+      await emit(desc);
+      entries.push(sheet);
+
+      // diretório central + fim
+      const cdOffset = offset;
+      for (const e of entries) {
+        const nameBuf = Buffer.from(e.name, "utf8");
+        const h = Buffer.alloc(46);
+        h.writeUInt32LE(0x02014b50, 0);
+        h.writeUInt16LE(20, 4);
+        h.writeUInt16LE(20, 6);
+        h.writeUInt16LE(e.flags, 8);
+        h.writeUInt16LE(8, 10);
+        h.writeUInt16LE(0, 12);
+        h.writeUInt16LE(0x21, 14);
+        h.writeUInt32LE(e.crc, 16);
+        h.writeUInt32LE(e.csize, 20);
+        h.writeUInt32LE(e.usize, 24);
+        h.writeUInt16LE(nameBuf.length, 28);
+        h.writeUInt32LE(e.offset, 42);
+        await emit(Buffer.concat([h, nameBuf]));
+      }
+      const cdSize = offset - cdOffset;
+
+      const eocd = Buffer.alloc(22);
+      eocd.writeUInt32LE(0x06054b50, 0);
+      eocd.writeUInt16LE(entries.length, 8);
+      eocd.writeUInt16LE(entries.length, 10);
+      eocd.writeUInt32LE(cdSize, 12);
+      eocd.writeUInt32LE(cdOffset, 16);
+      await emit(eocd);
+      out.end();
+    },
+  };
+}
+
+/**
+ * Define os headers de download e devolve o writer do formato.
+ * formato: "csv" | "xlsx"; nome sem extensão.
+ */
+function createPlanilhaWriter(res, formato, colunas, nome) {
+  const f = FORMATOS[formato];
+  res.setHeader("Content-Type", f.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${nome}.${f.extensao}"`
+  );
+  return formato === "xlsx"
+    ? createXlsxWriter(res, colunas)
+    : createCsvWriter(res, colunas);
+}
+
+module.exports = {
+  FORMATOS_PLANILHA: Object.keys(FORMATOS),
+  createPlanilhaWriter,
+};